@@ -0,0 +1,72 @@
+/*
+
+Client helper for dynamic.io namespace redirects.
+
+When a namespace is aliased with {redirect: true}, the server refuses
+clients with an error {message: 'Namespace moved', redirect: '/new'}.
+connect follows those redirects:
+
+  var dynamicio = require('dynamic.io/client');
+  dynamicio.connect(io, 'http://example.com/old/path', function(err, socket) {
+    // socket is connected to /new/path.
+  });
+
+In the browser, load this file after socket.io.js and use
+window.dynamicio.connect(io, url, callback).
+
+Options are passed to io(url, options), except for maxRedirects
+(default 5).
+
+*/
+
+(function(exports) {
+
+// Replaces the namespace (the path) of a socket.io url, keeping
+// its query, which authorization hooks may need (e.g. ?token=).
+function redirectUrl(url, nsp) {
+  var origin = /^(?:[a-z][a-z0-9+.-]*:)?\/\/[^\/?#]*/i.exec(url);
+  var query = /\?[^#]*/.exec(url);
+  return (origin ? origin[0] : '') + nsp + (query ? query[0] : '');
+}
+exports.redirectUrl = redirectUrl;
+
+// Connects to url, following namespace redirects, and calls
+// callback(err, socket) once connected or refused.
+function connect(io, url, options, callback) {
+  if (callback == null && typeof(options) == 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  var redirects = options.maxRedirects == null ? 5 : options.maxRedirects;
+  function attempt(url) {
+    var socket = io(url, options);
+    function onconnect() {
+      cleanup();
+      callback(null, socket);
+    }
+    function onerror(err) {
+      cleanup();
+      if (err && err.redirect) {
+        if (redirects-- > 0) {
+          // Let go of the refused socket before following.
+          socket.close();
+          return attempt(redirectUrl(url, err.redirect));
+        }
+        return callback(new Error('Too many redirects'), socket);
+      }
+      callback(err, socket);
+    }
+    function cleanup() {
+      socket.removeListener('connect', onconnect);
+      socket.removeListener('error', onerror);
+    }
+    socket.on('connect', onconnect);
+    socket.on('error', onerror);
+  }
+  attempt(url);
+}
+exports.connect = connect;
+
+})(typeof(module) == 'object' && module.exports ? module.exports :
+   (this.dynamicio = {}));
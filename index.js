@@ -7,24 +7,103 @@ created namespaces that delete themselves when idle.
 It also provides an optional socket.io/status page for debugging.
 
 The key new entrypoint for users is "setupNamespace", which
-accepts a namespace name (or '*' for any-namespace) and
-a callback that can initialize a (passed) namespace instance
+accepts a namespace name (or '*' for any-namespace, a RegExp, or
+a route such as '/room/:id/*' whose captures become match.params
+and nsp.params, or {host: pattern, name: pattern} to match the host
+and name separately) and a callback that can initialize a (passed) namespace instance
 when it is dynamically created.  Return false from this
-callback to reject the namespace.
+callback to reject the namespace.  Setup may also be asynchronous:
+return a promise, or accept a third "done(err, accept)" argument.
+setupNamespace returns a handle whose remove() unregisters the
+callback; teardownNamespace(name) unregisters by name or pattern.
+Options {priority, fallthrough} may be passed before the callback:
+higher priority callbacks are tried first, and a fallthrough
+callback can decline a namespace (returning undefined or 'next')
+to let the next matching callback try it.  An {adapter} option
+chooses the socket.io adapter for the namespaces it sets up, and
+{maxSockets, overflow} limit their number of sockets.
+
+Use "authorizeNamespace" to decide, client by client, whether a
+connection may join a namespace.
+
+In setup, nsp.setParent(parent) places a namespace in a tree: a
+parent outlives its children, lists them with children(), and can
+emit to its whole subtree with broadcastDown(event, args...).
+
+reserveNamespace(name, host, {until, setupArgs}, callback) creates
+and sets up a namespace ahead of time and keeps it alive until the
+given time, after which it retires normally.
+
+aliasNamespace(from, to, {redirect}) lets clients that ask for an
+old name (or pattern) join the namespace "to" instead, or, with
+redirect, refuses them with an error naming "to" that client.js
+can follow.
+
+Namespaces can be managed by hand with listNamespaces({host,
+pattern}), getNamespace(fullname), expireNamespace(fullname,
+{force}) and disconnectSocket(id, fullname).  namespaces(pattern)
+collects live namespaces to emit to (or to(room)), and
+broadcastTo(pattern, event, args...) emits to all that match.
+
+Call io.shutdown({timeout, event, notice}, callback) to stop the
+server gracefully: it refuses new connections, sends the notice to
+every socket, waits for them to leave (at most timeout ms), and then
+expires every namespace.
+
+The server emits namespace lifecycle events, each with the
+arguments (nsp, fullname, host): namespace:create, namespace:setup,
+namespace:reject, namespace:retire, namespace:revive and
+namespace:expire.
 
 New options include:
  * host (default '*') - set to specific host (or regexp) you
    want to map to '/' if you want to treat other hosts differently.
+ * hostMap (default none) - maps host aliases onto canonical hosts,
+   either {alias: canonical} or [[pattern, canonical], ...], where
+   canonical may use $1 substitutions, and null means the main host.
  * publicStatus (default false) - set to true to serve a debugging
-   page on socket.io/status
+   page on socket.io/status (and the same data as JSON on
+   socket.io/status.json), plus Prometheus metrics on
+   socket.io/metrics.
+ * statusAuth (default none) - protects the status page with a
+   callback (req, cb) or with static {username, password} (HTTP
+   Basic) or {token} (bearer) credentials.  Setting it also turns
+   on the status page.
+ * statusHostOnly (default false) - set to true to show each host
+   only its own namespaces on the status page, even on the main host.
+ * admin (default false) - set to true to accept POST requests on
+   socket.io/admin/expire, /disconnect, /broadcast and /retirement.
+   Requires statusAuth, which protects these routes too.
  * retirement (default 10000) - the number of milliseconds
    to wait after a namespace becomes empty until starting
-   to consider deleting it.
+   to consider deleting it.  Cleanup takes only the namespaces
+   that are due from a queue ordered by expiration time.
+ * maxNamespaces, maxNamespacesPerHost (default Infinity) - limits
+   on the number of live namespaces other than '/', overall and on
+   each host.
+ * namespaceRateLimit (default none) - {count, interval} limits
+   how many namespaces each client address may create per interval
+   milliseconds.
+ * clock (default real time) - {now, setTimeout, clearTimeout} used
+   for retirement timing.  FakeClock, advanced by tick(ms), is
+   included for tests.
+ * store (default none) - a state store such as MemoryStore or
+   FileStore.  Each namespace's nsp.state is saved to the store when
+   the namespace expires, and loaded again before its setup runs.
+ * registry (default none) - a namespace registry such as
+   LocalRegistry or ClusterRegistry, shared by several servers (or
+   cluster workers) so that a namespace only expires once it is
+   empty everywhere, and its expire callbacks run only once.
+ * registryId (default pid and a random suffix) - the name of this
+   server in the registry.
 
 */
 
 
 var util = require('util'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path'),
     Emitter = require('events').EventEmitter,
     IOServer = require('socket.io'),
     IOClient = require('socket.io/lib/client'),
@@ -43,17 +122,143 @@ function makePattern(pattern) {
   if (pattern === true) return new RegExp('.^');  // matches nothing.
   if (pattern === '*') return new RegExp('.*');
   if (pattern instanceof RegExp) return pattern;
+  if (pattern && typeof(pattern) == 'object') {
+    // {host: pattern, name: pattern} matches host and name separately.
+    return {
+      host: makePattern(pattern.host == null ? '*' : pattern.host),
+      name: makePattern(pattern.name == null ? '*' : pattern.name)
+    };
+  }
+  if (/:[A-Za-z_]|\*/.test(pattern)) return makeRoute(pattern);
+  return pattern;
+}
+
+// Splits '//host/name' into its host and name; host is null
+// for namespaces of the main host.
+function splitFullname(fullname) {
+  var m = /^\/\/([^\/]*)(\/.*)?$/.exec(fullname);
+  if (!m) return {host: null, name: fullname};
+  return {host: m[1], name: m[2] || '/'};
+}
+
+// Compiles an express-style route such as '/room/:id/:mode?' or
+// '//:tenant.example.com/doc/*' into an anchored RegExp.  The names
+// of its captures are listed in the RegExp's "keys" property;
+// splats are named '0', '1', and so on.
+function makeRoute(route) {
+  var keys = [], splats = 0;
+  var source = route.replace(
+      /(\/)?:([A-Za-z_]\w*)(\?)?|\*|[.+?^${}()|[\]\\]/g,
+      function(all, slash, key, optional) {
+    if (key) {
+      keys.push(key);
+      if (optional) {
+        return slash ? '(?:/([^/]+?))?' : '([^/]+?)?';
+      }
+      return (slash || '') + '([^/]+?)';
+    }
+    if (all == '*') {
+      keys.push(String(splats++));
+      return '(.*)';
+    }
+    return '\\' + all;
+  });
+  var pattern = new RegExp('^' + source + '$');
+  pattern.keys = keys;
   return pattern;
 }
 
 function matchPattern(pattern, str) {
   if (pattern instanceof RegExp) {
-    return pattern.exec(str);
+    var match = pattern.exec(str);
+    if (match && pattern.keys) {
+      // Name the captures of routes.
+      match.params = {};
+      for (var j = 0; j < pattern.keys.length; ++j) {
+        match.params[pattern.keys[j]] = match[j + 1];
+      }
+    }
+    return match;
+  } else if (pattern && typeof(pattern) == 'object') {
+    // Match host ('' for the main host) and name separately.  The
+    // result is the name match, with the host match as its "host".
+    var parts = splitFullname(str);
+    var hostMatch = matchPattern(pattern.host, parts.host || '');
+    var nameMatch = hostMatch && matchPattern(pattern.name, parts.name);
+    if (!nameMatch) return null;
+    nameMatch.host = hostMatch;
+    if (hostMatch.params || nameMatch.params) {
+      var params = {}, k;
+      for (k in hostMatch.params) params[k] = hostMatch.params[k];
+      for (k in nameMatch.params) params[k] = nameMatch.params[k];
+      nameMatch.params = params;
+    }
+    return nameMatch;
   } else {
     return pattern == str ? {'0': str, index: 0, input: str} : null;
   }
 }
 
+// Calls fn with args, letting fn answer in any of three ways:
+// by returning a value, by returning a promise (any thenable),
+// or, if fn declares one more parameter than args, by calling
+// that extra parameter as a node-style done(err, value).  An
+// exception thrown by fn itself counts as an error.
+function callFlexible(fn, self, args, callback) {
+  var called = false;
+  function done(err, value) {
+    if (called) return;
+    called = true;
+    callback(err || null, value);
+  }
+  var result;
+  try {
+    if (fn.length > args.length) {
+      fn.apply(self, args.concat([done]));
+      return;
+    }
+    result = fn.apply(self, args);
+  } catch (err) {
+    // Thrown after answering, it comes from the callback: pass it on.
+    if (called) throw err;
+    done(err || new Error('thrown'));
+    return;
+  }
+  if (result && typeof(result.then) == 'function') {
+    result.then(function(value) {
+      done(null, value);
+    }, function(err) {
+      done(err || new Error('rejected'));
+    });
+  } else {
+    done(null, result);
+  }
+}
+
+// Normalizes the hostMap option into a list of {pattern, host}.
+function makeHostMap(map) {
+  var list = [];
+  if (map instanceof Array) {
+    for (var j = 0; j < map.length; ++j) {
+      list.push({pattern: makePattern(map[j][0]), host: map[j][1]});
+    }
+  } else if (map) {
+    for (var alias in map) {
+      if (map.hasOwnProperty(alias)) {
+        list.push({pattern: makePattern(alias), host: map[alias]});
+      }
+    }
+  }
+  return list;
+}
+
+// The default clock: real time and real timers.
+var systemClock = {
+  now: function() { return +(new Date); },
+  setTimeout: function(fn, delay) { return setTimeout(fn, delay); },
+  clearTimeout: function(timer) { clearTimeout(timer); }
+};
+
 // Override constructor, to add new fields and options.
 function DynamicServer(srv, opts) {
   if (!(this instanceof DynamicServer)) return new DynamicServer(srv, opts);
@@ -63,57 +268,278 @@ function DynamicServer(srv, opts) {
   }
   options = options || {};
 
+  // The clock used for all retirement timing; see FakeClock.
+  this._clock = options.clock || systemClock;
   this._cleanupTimer = null;
   this._cleanupTime = null;
+  this._cleanupDeadline = null;
+  this._expirations = new ExpirationQueue();
+  // Running totals reported on the metrics page.
+  this._counts = {create: 0, reject: 0, limit: 0, expire: 0};
+  this._cleanupSeconds = 0;
+  this._cleanups = 0;
   this._namepaceNames = {};
   this._namepacePatterns = [];
+  this._namespaceSetups = 0;
+  this._authorizers = [];
+  this._aliases = [];
 
   // By default, serve all hosts as if they are the main host.
   this._mainHost = makePattern(options.host || '*');
 
+  // Aliases for hosts, applied before checking for the main host.
+  this._hostMap = makeHostMap(options.hostMap);
+
   // By default, retire automatically created namespaces in 10 seconds.
   this._defaultRetirement = options.retirement || 10000;
 
+  // By default, there is no limit on the number of namespaces.
+  this._maxNamespaces = options.maxNamespaces || Infinity;
+  this._maxNamespacesPerHost = options.maxNamespacesPerHost || Infinity;
+  this._namespaceRateLimit = options.namespaceRateLimit || null;
+  this._namespaceCount = 0;
+  this._hostNamespaceCounts = {};
+  this._rateCounts = {};
+  this._rateWindowStart = 0;
+
+  // Set while shutting down.
+  this._shutdown = null;
+
+  // By default, namespace state is not kept after expiration.
+  this._store = options.store || null;
+  // Saves still in progress, and callbacks waiting for them.
+  this._saving = 0;
+  this._savedCallbacks = [];
+
+  // By default, namespaces are not shared with other servers.
+  this._registry = options.registry || null;
+  this._registryId = options.registryId ||
+      process.pid + '-' + Math.random().toString(36).substr(2);
+
   // By default, do not expose public /socket.io/status page.
   this._publicStatus = options.publicStatus || false;
 
+  // Optional authentication for the status page.
+  this._statusAuth = options.statusAuth || null;
+
+  // By default, the main host sees the status of every host.
+  this._statusHostOnly = options.statusHostOnly || false;
+
+  // By default, there are no admin routes.  They need authentication.
+  this._admin = options.admin || false;
+  if (this._admin && !this._statusAuth) {
+    throw new Error('The admin option requires statusAuth');
+  }
+
   IOServer.apply(this, arguments);
 }
 util.inherits(DynamicServer, IOServer)
 exports.DynamicServer = DynamicServer;
 
 // This is the setup for initializing dynamic namespaces.
-DynamicServer.prototype.setupNamespace = function(name, fn) {
+// Returns a handle whose remove(options) unregisters the setup.
+DynamicServer.prototype.setupNamespace = function(name, options, fn) {
+  if (fn == null && typeof(options) == 'function') {
+    fn = options;
+    options = null;
+  }
+  options = options || {};
   var pattern = makePattern(name);
-  if (pattern instanceof RegExp) {
-    this._namepacePatterns.push({pattern: pattern, setup: fn});
+  var entry = {
+    name: name,
+    pattern: pattern,
+    setup: fn,
+    exact: typeof(pattern) == 'string',
+    priority: options.priority || 0,
+    fallthrough: !!options.fallthrough,
+    adapter: options.adapter || null,
+    maxSockets: options.maxSockets,
+    overflow: options.overflow,
+    // Registration order breaks ties: later registrations win.
+    order: ++this._namespaceSetups
+  };
+  if (!entry.exact) {
+    this._namepacePatterns.push(entry);
   } else {
-    this._namepaceNames[name] = fn;
+    this._namepaceNames[name] = entry;
   }
   // If there is a matching namespace already, then set it up.
   for (var j in this.nsps) {
     if (this.nsps.hasOwnProperty(j)) {
-      var nsp = this.nsps[j];
+      var nsp = this.nsps[j], match;
       if (!nsp.setupDone && !!(match = matchPattern(pattern, j))) {
-        nsp.setupDone = -1;
-        if (false === fn.apply(this, [nsp, match])) {
-          // If setup is aborted, mark it as not-setup.
-          nsp.setupDone = 0;
-        } else {
-          nsp.setupDone = 1;
+        // If setup is aborted, it is left marked as not-setup.
+        this._runSetup(nsp, [{entry: entry, match: match}], function() {});
+      }
+    }
+  }
+  var server = this;
+  return {
+    name: name,
+    remove: function(options) {
+      server._removeSetup(entry, options);
+    }
+  };
+};
+
+// Unregisters every setup callback registered under the given name
+// or pattern (RegExps are compared by source and flags).  With
+// options {expire: true}, live namespaces that were set up by those
+// callbacks are expired immediately.  Returns the number removed.
+DynamicServer.prototype.teardownNamespace = function(name, options) {
+  var entries = [];
+  if (this._namepaceNames.hasOwnProperty(name) &&
+      sameName(this._namepaceNames[name].name, name)) {
+    entries.push(this._namepaceNames[name]);
+  }
+  for (var j = 0; j < this._namepacePatterns.length; ++j) {
+    if (sameName(this._namepacePatterns[j].name, name)) {
+      entries.push(this._namepacePatterns[j]);
+    }
+  }
+  for (j = 0; j < entries.length; ++j) {
+    this._removeSetup(entries[j], options);
+  }
+  return entries.length;
+};
+
+function sameName(a, b) {
+  if (a instanceof RegExp && b instanceof RegExp) {
+    return String(a) == String(b);
+  }
+  if (a && b && typeof(a) == 'object' && typeof(b) == 'object') {
+    return sameName(a.host, b.host) && sameName(a.name, b.name);
+  }
+  return a === b;
+}
+
+DynamicServer.prototype._removeSetup = function(entry, options) {
+  if (this._namepaceNames[entry.name] === entry) {
+    delete this._namepaceNames[entry.name];
+  }
+  var index = this._namepacePatterns.indexOf(entry);
+  if (index >= 0) {
+    this._namepacePatterns.splice(index, 1);
+  }
+  if (options && options.expire) {
+    for (var j in this.nsps) {
+      if (this.nsps.hasOwnProperty(j)) {
+        var nsp = this.nsps[j];
+        if (nsp._setupEntry === entry && nsp !== this.sockets) {
+          this._releaseNamespace(nsp, true);
         }
       }
     }
   }
 };
 
+// Registers fn(client, request, host, name) to decide whether each
+// client may join a namespace.  Like setup, fn may answer with a
+// value, a promise, or a done(err, ok) callback.  Returning false
+// refuses the client with 'Not authorized'; an error refuses it with
+// the error as the payload (its message, for Error objects, or its
+// data property if it has one).  Every registered fn must agree.
+DynamicServer.prototype.authorizeNamespace = function(fn) {
+  this._authorizers.push(fn);
+};
+
+// Makes clients that connect to a namespace matching "from" join
+// the namespace "to" on the same host instead.  "from" is a name or
+// pattern as for setupNamespace, and "to" is a namespace name that
+// may use $1 substitutions from the match.  With {redirect: true},
+// the client is refused with an error {message, redirect: to}, so it
+// can reconnect to the new name itself (see client.js).  Later
+// aliases take precedence.  Returns {name, remove()}.
+DynamicServer.prototype.aliasNamespace = function(from, to, options) {
+  if (typeof(to) != 'string' || !/^\/(?!\/)/.test(to)) {
+    throw new Error('Alias target must be a namespace name: ' + to);
+  }
+  options = options || {};
+  var alias = {
+    pattern: makePattern(from),
+    to: to,
+    redirect: !!options.redirect
+  };
+  this._aliases.push(alias);
+  var server = this;
+  return {
+    name: from,
+    remove: function() {
+      var index = server._aliases.indexOf(alias);
+      if (index >= 0) server._aliases.splice(index, 1);
+    }
+  };
+};
+
+// Returns {name, redirect} for the alias of a namespace on host,
+// or null if it has none.
+DynamicServer.prototype.resolveAlias = function(name, host) {
+  var fullname = fullNamespaceName(name, host);
+  for (var j = this._aliases.length - 1; j >= 0; --j) {
+    var alias = this._aliases[j];
+    var match = matchPattern(alias.pattern, fullname);
+    if (match) {
+      var target = alias.to.replace(/\$(\d)/g, function(all, n) {
+        return match[n] || '';
+      });
+      if (target == name) return null;
+      return {name: target, redirect: alias.redirect};
+    }
+  }
+  return null;
+};
+
+// Turns an authorization error into an error packet payload.
+function errorPayload(err) {
+  if (err instanceof Error) {
+    return err.data !== undefined ? err.data : err.message;
+  }
+  return err;
+}
+
+// Namespace lifecycle events ("namespace:create" and so on) are
+// emitted by the server itself; other events are delegated to the
+// '/' namespace, as in socket.io.
+function isLifecycleEvent(ev) {
+  return /^namespace:/.test(ev);
+}
+
+DynamicServer.prototype.on = function(ev, fn) {
+  if (!isLifecycleEvent(ev)) {
+    return IOServer.prototype.on.apply(this, arguments);
+  }
+  Emitter.prototype.on.call(this, ev, fn);
+  return this;
+};
+
+DynamicServer.prototype.once = Emitter.prototype.once;
+
+DynamicServer.prototype.removeListener = function(ev, fn) {
+  if (!isLifecycleEvent(ev)) {
+    this.sockets.removeListener(ev, fn);
+  } else {
+    Emitter.prototype.removeListener.call(this, ev, fn);
+  }
+  return this;
+};
+
+// Emits namespace:<event> with arguments (nsp, fullname, host).
+DynamicServer.prototype._lifecycle = function(event, nsp) {
+  if (this._counts.hasOwnProperty(event)) {
+    this._counts[event] += 1;
+  }
+  Emitter.prototype.emit.call(
+      this, 'namespace:' + event, nsp, nsp.fullname(), nsp.host);
+};
+
 // Create DynamicClient instead of IOClient when there is a connection.
 DynamicServer.prototype.onconnection = function(conn) {
-  var host = this.getHost(conn);
-  if (!host || matchPattern(this._mainHost, host)) {
-    // The main host gets nulled out.
-    host = null;
+  if (this._shutdown) {
+    debug('refusing connection during shutdown');
+    conn.close();
+    return this;
   }
+  var host = this.mapHost(this.getHost(conn));
   var client = new DynamicClient(this, conn, host);
   client.connect('/');
   return this;
@@ -124,25 +550,34 @@ DynamicServer.prototype.getHost = function(conn) {
   return conn.request.headers.host;
 };
 
-// Do the work of initializing a namespace when it is needed.
-DynamicServer.prototype.initializeNamespace = function(name, host, auto) {
-  // First, look up our instructions for this namespace.
-  var fullname = fullNamespaceName(name, host);
-  var setup, match;
-  if (this._namepaceNames.hasOwnProperty(fullname)) {
-    // Prefer exact matches over pattern matches.
-    setup = this._namepaceNames[fullname];
-    match = {'0': fullname, index: 0, input: fullname};
-  } else for (var j = this._namepacePatterns.length - 1; j >= 0; --j) {
-    // Scan patterns starting with the last one registered.
-    match = matchPattern(this._namepacePatterns[j].pattern, fullname);
+// Applies hostMap to a host, and returns the canonical host,
+// or null for the main host.
+DynamicServer.prototype.mapHost = function(host) {
+  for (var j = 0; host && j < this._hostMap.length; ++j) {
+    var match = matchPattern(this._hostMap[j].pattern, host);
     if (match) {
-      setup = this._namepacePatterns[j].setup;
+      var target = this._hostMap[j].host;
+      host = target == null ? null : String(target).replace(/\$(\d)/g,
+          function(all, n) { return match[n] || ''; });
       break;
     }
   }
+  if (!host || matchPattern(this._mainHost, host)) {
+    // The main host gets nulled out.
+    return null;
+  }
+  return host;
+};
+
+// Do the work of initializing a namespace when it is needed.
+// setupArgs, if given, is left in nsp.setupArgs for setup to read.
+DynamicServer.prototype.initializeNamespace = function(
+    name, host, auto, setupArgs) {
+  // First, look up our instructions for this namespace.
+  var fullname = fullNamespaceName(name, host);
+  var candidates = this._findSetups(fullname);
   // Automatically created namespaces require setup.
-  if (auto && !setup) {
+  if (auto && !candidates.length) {
     return null;
   }
 
@@ -152,22 +587,285 @@ DynamicServer.prototype.initializeNamespace = function(name, host, auto) {
   if (auto) {
     nsp.retirement = this._defaultRetirement;
   }
-  this.nsps[fullname] = nsp;
-  if (setup) {
-    // During setup, setupDone is -1.
-    nsp.setupDone = -1;
-    if (false === setup.apply(this, [nsp, match])) {
-      // If setup returns false, undo the operation and return null.
-      delete this.nsps[fullname];
-      return null;
-    } else {
-      // After setup, setupDone is 1.
-      nsp.setupDone = 1;
-    }
+  if (setupArgs != null) {
+    nsp.setupArgs = setupArgs;
+  }
+  this._addNamespace(nsp);
+  this._lifecycle('create', nsp);
+  if (candidates.length) {
+    var server = this, rejected = false;
+    this._runSetup(nsp, candidates, function(ok) {
+      if (!ok) {
+        // If setup rejects the namespace, undo the registration.
+        rejected = true;
+        server._deleteNamespace(nsp);
+      } else if (auto && !nsp.sockets.length) {
+        // Retire it until somebody joins, so that namespaces created
+        // for clients who never join (refused, or gone) still expire.
+        nsp._expirationTime = server._clock.now() + nsp.retirement;
+        server._schedule(nsp);
+      }
+    });
+    // Synchronous rejection returns null.
+    if (rejected) return null;
   }
   return nsp;
 };
 
+// Adds nsp to this.nsps, keeping count of namespaces per host for
+// the namespace limits, which leave out the root namespace of each
+// host: every client joins one, so they are no use to limit.
+DynamicServer.prototype._addNamespace = function(nsp) {
+  var key = nsp.host || '';
+  this.nsps[nsp.fullname()] = nsp;
+  if (nsp.name != '/') {
+    this._namespaceCount += 1;
+    this._hostNamespaceCounts[key] =
+        (this._hostNamespaceCounts[key] || 0) + 1;
+  }
+  this._tellRegistry('register', nsp);
+};
+
+// Removes nsp from this.nsps, if it is still there.
+DynamicServer.prototype._deleteNamespace = function(nsp) {
+  var fullname = nsp.fullname(), key = nsp.host || '';
+  if (this.nsps[fullname] !== nsp) return;
+  delete this.nsps[fullname];
+  if (nsp.name != '/') {
+    this._namespaceCount -= 1;
+    if (!--this._hostNamespaceCounts[key]) {
+      delete this._hostNamespaceCounts[key];
+    }
+  }
+  this._expirations.remove(nsp);
+  // Leave the namespace tree: children of a namespace that is
+  // expired early become roots, and the parent may now expire.
+  for (var j = 0; j < nsp._children.length; ++j) {
+    nsp._children[j].parent = null;
+  }
+  nsp._children = [];
+  var parent = nsp.parent;
+  if (parent) {
+    nsp.parent = null;
+    parent._children.splice(parent._children.indexOf(nsp), 1);
+    this._schedule(parent);
+  }
+  this._tellRegistry('forget', nsp);
+};
+
+// Returns the error to send to a client at address that would
+// create the namespace name on host, if that would exceed the
+// namespace limits, or null if the namespace may be created.
+// Root namespaces are only held to the rate limit.
+DynamicServer.prototype.namespaceLimitError = function(host, address, name) {
+  if (name != '/' && (this._namespaceCount >= this._maxNamespaces ||
+      (this._hostNamespaceCounts[host || ''] || 0) >=
+          this._maxNamespacesPerHost)) {
+    return 'Namespace limit exceeded';
+  }
+  var limit = this._namespaceRateLimit;
+  if (limit && address) {
+    // Counts are kept for a fixed window, and then all reset.
+    var now = this._clock.now();
+    if (now - this._rateWindowStart >= limit.interval) {
+      this._rateCounts = {};
+      this._rateWindowStart = now;
+    }
+    if ((this._rateCounts[address] || 0) >= limit.count) {
+      return 'Namespace rate limit exceeded';
+    }
+  }
+  return null;
+};
+
+// Counts a namespace creation against the rate limit of address.
+DynamicServer.prototype._countCreation = function(address) {
+  if (this._namespaceRateLimit && address) {
+    this._rateCounts[address] = (this._rateCounts[address] || 0) + 1;
+  }
+};
+
+// Lists the setups matching fullname as {entry, match} pairs, in
+// the order they should be tried: higher priority first, then exact
+// names before patterns, then the last registered first.
+DynamicServer.prototype._findSetups = function(fullname) {
+  var candidates = [];
+  if (this._namepaceNames.hasOwnProperty(fullname)) {
+    candidates.push({
+      entry: this._namepaceNames[fullname],
+      match: {'0': fullname, index: 0, input: fullname}
+    });
+  }
+  for (var j = 0; j < this._namepacePatterns.length; ++j) {
+    var match = matchPattern(this._namepacePatterns[j].pattern, fullname);
+    if (match) {
+      candidates.push({entry: this._namepacePatterns[j], match: match});
+    }
+  }
+  candidates.sort(function(a, b) {
+    return (b.entry.priority - a.entry.priority) ||
+           (b.entry.exact - a.entry.exact) ||
+           (b.entry.order - a.entry.order);
+  });
+  return candidates;
+};
+
+// Runs (possibly asynchronous) setup callbacks on nsp, trying each
+// candidate in turn while fallthrough callbacks decline.  During
+// setup, setupDone is -1 and connecting clients wait in
+// nsp._setupWaiting.  After setup, setupDone is 1, or 0 if setup
+// failed, returned false, or was declined by every callback; then
+// callback(ok) is called before the waiting clients are released.
+DynamicServer.prototype._runSetup = function(nsp, candidates, callback) {
+  var server = this;
+  var j = 0;
+  nsp.setupDone = -1;
+  function next() {
+    var candidate = candidates[j++];
+    nsp._setupEntry = candidate.entry;
+    nsp.params = candidate.match.params || {};
+    if (candidate.entry.adapter && nsp.sockets.length == 0) {
+      nsp.useAdapter(candidate.entry.adapter);
+    }
+    if (candidate.entry.maxSockets != null) {
+      nsp.maxSockets = candidate.entry.maxSockets;
+    }
+    if (candidate.entry.overflow != null) {
+      nsp.overflow = candidate.entry.overflow;
+    }
+    callFlexible(candidate.entry.setup, server, [nsp, candidate.match],
+    function(err, accept) {
+      var declined = !err && candidate.entry.fallthrough &&
+          (accept === undefined || accept === 'next');
+      if (declined && j < candidates.length) {
+        debug('setup of %s falls through', nsp.fullname());
+        next();
+      } else {
+        finish(err, declined ? false : accept);
+      }
+    });
+  }
+  function load() {
+    // Restore any state saved when the namespace last expired.
+    nsp._stateLoaded = true;
+    server._store.load(nsp.fullname(), function(err, state) {
+      if (err) return finish(err);
+      if (state != null) {
+        nsp.state = state;
+      }
+      next();
+    });
+  }
+  function finish(err, accept) {
+    if (err) {
+      debug('setup of %s failed: %s', nsp.fullname(), err);
+    }
+    var ok = !err && accept !== false;
+    nsp.setupDone = ok ? 1 : 0;
+    nsp.server._lifecycle(ok ? 'setup' : 'reject', nsp);
+    callback(ok);
+    var waiting = nsp._setupWaiting;
+    nsp._setupWaiting = [];
+    for (var k = 0; k < waiting.length; ++k) {
+      waiting[k]();
+    }
+  }
+  if (this._store && !nsp._stateLoaded) {
+    load();
+  } else {
+    next();
+  }
+};
+
+// A binary min-heap of namespaces ordered by expiration time,
+// so that cleanup only touches the namespaces that are due.
+// Each queued namespace records its heap slot in _queueIndex
+// and the time it was queued for in _queueTime.
+function ExpirationQueue() {
+  this.heap = [];
+}
+
+ExpirationQueue.prototype.peek = function() {
+  return this.heap.length ? this.heap[0] : null;
+};
+
+// Queues nsp for the given time, moving it if it is already queued.
+// An infinite time takes it out of the queue.
+ExpirationQueue.prototype.update = function(nsp, time) {
+  if (!(time < Infinity)) {
+    this.remove(nsp);
+    return;
+  }
+  var i = nsp._queueIndex;
+  if (i == null) {
+    i = this.heap.length;
+    this.heap.push(nsp);
+    nsp._queueIndex = i;
+  }
+  nsp._queueTime = time;
+  this._up(this._down(i));
+};
+
+ExpirationQueue.prototype.remove = function(nsp) {
+  var i = nsp._queueIndex;
+  if (i == null) return;
+  var last = this.heap.pop();
+  nsp._queueIndex = null;
+  if (last !== nsp) {
+    this.heap[i] = last;
+    last._queueIndex = i;
+    this._up(this._down(i));
+  }
+};
+
+ExpirationQueue.prototype._swap = function(i, j) {
+  var heap = this.heap, a = heap[i];
+  heap[i] = heap[j];
+  heap[j] = a;
+  heap[i]._queueIndex = i;
+  heap[j]._queueIndex = j;
+};
+
+ExpirationQueue.prototype._up = function(i) {
+  var heap = this.heap;
+  while (i > 0) {
+    var parent = (i - 1) >> 1;
+    if (heap[parent]._queueTime <= heap[i]._queueTime) break;
+    this._swap(i, parent);
+    i = parent;
+  }
+  return i;
+};
+
+ExpirationQueue.prototype._down = function(i) {
+  var heap = this.heap, n = heap.length;
+  for (;;) {
+    var least = i, left = 2 * i + 1, right = left + 1;
+    if (left < n && heap[left]._queueTime < heap[least]._queueTime) {
+      least = left;
+    }
+    if (right < n && heap[right]._queueTime < heap[least]._queueTime) {
+      least = right;
+    }
+    if (least == i) return i;
+    this._swap(i, least);
+    i = least;
+  }
+};
+
+// Puts a namespace in the expiration queue at its current
+// expiration time (or takes it out, if it has none or is
+// no longer ours), and makes sure cleanup will run by then.
+// Its ancestors are rescheduled too, since they outlive it.
+DynamicServer.prototype._schedule = function(nsp) {
+  for (; nsp; nsp = nsp.parent) {
+    var expiration = nsp._expiration();
+    if (this.nsps[nsp.fullname()] !== nsp) expiration = Infinity;
+    this._expirations.update(nsp, expiration);
+    this.requestCleanupAfter(expiration - this._clock.now());
+  }
+};
+
 // When namespaces are emptied, they ask the server to poll
 // them back for expiration.
 DynamicServer.prototype.requestCleanupAfter = function(delay) {
@@ -176,11 +874,14 @@ DynamicServer.prototype.requestCleanupAfter = function(delay) {
   // This form check rejects both NaN and Infinity.
   if (!(delay < Infinity)) return;
 
+  // After shutdown, no more timers.
+  if (this._shutdown && this._shutdown.done) return;
+
   // If somebody has requested cleanup earlier, we should
   // redo the timer.
-  var cleanupTime = delay + +(new Date);
+  var cleanupTime = delay + this._clock.now();
   if (this._cleanupTimer && cleanupTime < this._cleanupTime) {
-    clearTimeout(this._cleanupTimer);
+    this._clock.clearTimeout(this._cleanupTimer);
     this._cleanupTimer = null;
   }
 
@@ -192,111 +893,558 @@ DynamicServer.prototype.requestCleanupAfter = function(delay) {
   if (!this._cleanupTimer) {
     var server = this;
     this._cleanupTime = cleanupTime;
-    this._cleanupTimer = setTimeout(function() {
+    this._cleanupDeadline = this._clock.now() + delay;
+    // Timers cannot wait longer than 2^31-1 ms; cleanup that
+    // wakes early just reschedules for the rest.
+    this._cleanupTimer = this._clock.setTimeout(function() {
       server._cleanupTimer = null;
       server._cleanupTime = null;
+      server._cleanupDeadline = null;
       server.cleanupExpiredNamespaces();
-    }, delay);
+    }, Math.min(delay, 0x7fffffff));
   }
 };
 
-// When doing cleanup, we scan all namespaces for their
-// expiration dates.
+// When doing cleanup, we take the namespaces that are due off
+// the front of the expiration queue, so the cost is proportional
+// to the number expiring rather than the number of namespaces.
 DynamicServer.prototype.cleanupExpiredNamespaces = function() {
-  var earliestUnexpired = Infinity;
-  var now = +(new Date);
-  for (var j in this.nsps) {
-    if (this.nsps.hasOwnProperty(j)) {
-      var nsp = this.nsps[j];
-      var expiration = nsp._expiration();
-      if (expiration <= now) {
-        nsp.expire(true);
-        delete this.nsps[j];
-      } else  {
-        earliestUnexpired = Math.min(earliestUnexpired, expiration);
-      }
+  var started = process.hrtime();
+  var now = this._clock.now(), queue = this._expirations, nsp;
+  while ((nsp = queue.peek()) && nsp._queueTime <= now) {
+    queue.remove(nsp);
+    if (this.nsps[nsp.fullname()] !== nsp) continue;
+    var expiration = nsp._expiration();
+    if (expiration <= now) {
+      this._releaseNamespace(nsp);
+    } else {
+      queue.update(nsp, expiration);
     }
   }
-  this.requestCleanupAfter(earliestUnexpired - now);
+  nsp = queue.peek();
+  this.requestCleanupAfter(nsp ? nsp._queueTime - now : Infinity);
+  var elapsed = process.hrtime(started);
+  this._cleanupSeconds += elapsed[0] + elapsed[1] / 1e9;
+  this._cleanups += 1;
 };
 
-// Override "of" to handle an optional 'host' argument
-// an an "fn" of "true", which indicates a request for
-// andautomatically created namespace.
-DynamicServer.prototype.of = function(name, host, fn) {
-  if (fn == null && typeof(host) == 'function') {
-    fn = host;
-    host = null;
-  }
-  if (!/^\//.test(name)) {
-    // Insert a leading slash if needed.
-    name = '/' + name;
+// Tells the registry, if any, about one of our namespaces.
+DynamicServer.prototype._tellRegistry = function(op, nsp) {
+  if (this._registry) {
+    this._registry[op](nsp.fullname(), this._registryId);
   }
+};
 
-  // Add a leading hostname for lookup.
-  var fullname = fullNamespaceName(name, host);
-  if (!this.nsps[fullname]) {
-    debug('initializing namespace %s', fullname);
-    var nsp = this.initializeNamespace(name, host, fn === true);
-    if (nsp == null) {
-      debug('unrecognized namespace', fullname);
-      return;
+// Deletes a namespace whose retirement is over.  With a registry,
+// the namespace is kept while it has sockets on another server,
+// and only the last server to delete it runs its expire callbacks.
+// With force, its sockets here are disconnected first.
+DynamicServer.prototype._releaseNamespace = function(nsp, force) {
+  if (force) {
+    var sockets = nsp.sockets.slice();
+    for (var k = 0; k < sockets.length; ++k) {
+      sockets[k].disconnect();
     }
   }
-  if (typeof(fn) == 'function') this.nsps[fullname].on('connect', fn);
-  return this.nsps[fullname];
-};
-
-// Hook in the /socket.io/status URL
-DynamicServer.prototype.attachServe = function(srv) {
-  debug('attaching web request handler');
-  var prefix = this._path;
-  var clienturl = prefix + '/socket.io.js';
-  var statusurl = prefix + '/status';
-  var evs = srv.listeners('request').slice(0);
-  var self = this;
-  srv.removeAllListeners('request');
-  srv.on('request', function(req, res) {
-    if (0 == req.url.indexOf(clienturl)) {
-      self.serve(req, res);
-    } else if (self._publicStatus && 0 == req.url.indexOf(statusurl)) {
-      self.serveStatus(req, res);
-    } else {
-      for (var i = 0; i < evs.length; i++) {
-        evs[i].call(srv, req, res);
+  if (!this._registry) {
+    this._expireNamespace(nsp);
+    return;
+  }
+  if (nsp._releasing) return;
+  nsp._releasing = true;
+  var server = this, fullname = nsp.fullname();
+  this._registry.release(fullname, this._registryId, function(err, result) {
+    nsp._releasing = false;
+    if (err) {
+      debug('registry release of %s failed: %s', fullname, err);
+      result = 'busy';
+    }
+    if (server.nsps[fullname] !== nsp) return;
+    if (nsp.sockets.length) {
+      // Revived while we were asking: rejoin if we were let go.
+      if (result != 'busy') {
+        server._tellRegistry('join', nsp);
       }
+    } else if (result == 'busy') {
+      // Still in use elsewhere, so start another retirement.
+      nsp._expirationTime = server._clock.now() + nsp.retirement;
+      server._schedule(nsp);
+    } else {
+      server._expireNamespace(nsp, result == 'expire');
     }
   });
 };
 
-DynamicServer.prototype.serveStatus = function(req, res) {
-  debug('serve status');
-  var match = '*';
-  if (!matchPattern(this._mainHost, req.headers.host)) {
-    match = req.headers.host;
+// Expires a namespace now: disconnects any remaining sockets,
+// runs its expiration callbacks (unless callbacks is false, when
+// another server will run them) and deletes it.
+DynamicServer.prototype._expireNamespace = function(nsp, callbacks) {
+  var sockets = nsp.sockets.slice();
+  for (var k = 0; k < sockets.length; ++k) {
+    sockets[k].disconnect();
+  }
+  callbacks = callbacks !== false;
+  if (callbacks) {
+    nsp.expire(true);
   }
+  this._deleteNamespace(nsp);
+  nsp._refuseQueued();
+  nsp._disposeAdapter();
+  if (callbacks && this._store && nsp.state != null && nsp.setupDone == 1) {
+    // Save state after the expire callbacks have had a chance to
+    // update it.
+    var server = this;
+    this._saving += 1;
+    this._store.save(nsp.fullname(), nsp.state, function(err) {
+      if (err) debug('saving state of %s failed: %s', nsp.fullname(), err);
+      if (--server._saving) return;
+      var callbacks = server._savedCallbacks;
+      server._savedCallbacks = [];
+      for (var k = 0; k < callbacks.length; ++k) {
+        callbacks[k]();
+      }
+    });
+  }
+  this._lifecycle('expire', nsp);
+};
 
-  var html = ['<!doctype html>', '<html>', '<body>', '<pre>'];
-  html.push('<a href="status">Refresh</a> active namespaces on ' + match, '');
-  var sorted = [];
+// Shuts the server down gracefully.  New connections are refused,
+// and options.event (default 'shutdown') is emitted to every socket
+// with options.notice as its argument.  After all sockets leave, or
+// options.timeout (default 10000) ms pass, remaining sockets are
+// disconnected, every namespace is expired, and timers are cleared.
+// Once any state is saved, callback is called.  Without a callback,
+// returns a promise (where promises are available).
+DynamicServer.prototype.shutdown = function(options, callback) {
+  if (callback == null && typeof(options) == 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  var promise = null;
+  if (!callback && typeof(Promise) == 'function') {
+    promise = new Promise(function(resolve) {
+      callback = resolve;
+    });
+  }
+  if (this._shutdown) {
+    // Already shutting down: just wait for it.
+    if (this._shutdown.done) {
+      if (callback) callback();
+    } else {
+      this._shutdown.callbacks.push(callback);
+    }
+    return promise;
+  }
+  var server = this;
+  var state = this._shutdown = {callbacks: [callback], done: false};
+  var timeout = options.timeout == null ? 10000 : options.timeout;
+  var event = options.event || 'shutdown';
+  debug('shutting down');
   for (var j in this.nsps) {
-    if (this.nsps.hasOwnProperty(j)) {
-      var nsp = this.nsps[j];
-      if (match != '*' && nsp.host != match) continue;
-      sorted.push(j);
+    if (this.nsps.hasOwnProperty(j) && this.nsps[j].sockets.length) {
+      if (options.notice === undefined) {
+        this.nsps[j].emit(event);
+      } else {
+        this.nsps[j].emit(event, options.notice);
+      }
     }
   }
-  sorted.sort(function(a, b) {
-    // Sort slashes last.
-    if (a == b) return 0;
-    a = a.replace(/\//g, '\uffff');
+  function finish() {
+    if (state.finishing) return;
+    state.finishing = true;
+    server._clock.clearTimeout(state.timer);
+    server._expireAll(function() {
+      state.done = true;
+      if (server._cleanupTimer) {
+        server._clock.clearTimeout(server._cleanupTimer);
+        server._cleanupTimer = null;
+        server._cleanupTime = null;
+        server._cleanupDeadline = null;
+      }
+      if (server.eio) {
+        server.eio.close();
+      }
+      debug('shutdown complete');
+      var callbacks = state.callbacks;
+      state.callbacks = [];
+      for (var k = 0; k < callbacks.length; ++k) {
+        if (callbacks[k]) callbacks[k]();
+      }
+    });
+  }
+  // Called by DynamicNamespace.remove as sockets leave.
+  state.check = function() {
+    for (var j in server.nsps) {
+      if (server.nsps.hasOwnProperty(j) && server.nsps[j].sockets.length) {
+        return;
+      }
+    }
+    finish();
+  };
+  state.timer = server._clock.setTimeout(finish, timeout);
+  state.check();
+  return promise;
+};
+
+// Expires every namespace, then calls callback once their state
+// is saved.  With a registry, expire callbacks only run where the
+// registry says this server holds the last copy.
+DynamicServer.prototype._expireAll = function(callback) {
+  var server = this, pending = 1;
+  function done() {
+    if (--pending) return;
+    if (server._saving) {
+      server._savedCallbacks.push(callback);
+    } else {
+      callback();
+    }
+  }
+  for (var j in this.nsps) {
+    if (!this.nsps.hasOwnProperty(j)) continue;
+    var nsp = this.nsps[j];
+    if (!this._registry) {
+      this._expireNamespace(nsp);
+      continue;
+    }
+    pending += 1;
+    (function(nsp) {
+      server._registry.release(nsp.fullname(), server._registryId,
+      function(err, result) {
+        server._expireNamespace(nsp, !err && result == 'expire');
+        done();
+      });
+    })(nsp);
+  }
+  done();
+};
+
+// Lists live namespaces, sorted by full name.  options.host selects
+// the namespaces of one host (null for the main host), and
+// options.pattern selects those matching a setupNamespace pattern.
+DynamicServer.prototype.listNamespaces = function(options) {
+  options = options || {};
+  var pattern = options.pattern == null ? null : makePattern(options.pattern);
+  var sorted = [];
+  for (var j in this.nsps) {
+    if (this.nsps.hasOwnProperty(j)) {
+      var nsp = this.nsps[j];
+      if (options.host !== undefined && nsp.host != options.host) continue;
+      if (pattern && !matchPattern(pattern, j)) continue;
+      sorted.push(j);
+    }
+  }
+  sorted.sort(function(a, b) {
+    // Sort slashes last.
+    if (a == b) return 0;
+    a = a.replace(/\//g, '\uffff');
     b = b.replace(/\//g, '\uffff');
     if (a < b) return -1;
     else return 1;
   });
-  var now = +(new Date);
+  var nsps = [];
   for (j = 0; j < sorted.length; ++j) {
-    var nsp = this.nsps[sorted[j]];
+    nsps.push(this.nsps[sorted[j]]);
+  }
+  return nsps;
+};
+
+// Returns the live namespace with the given full name, or null.
+// Unlike "of", this never creates a namespace.
+DynamicServer.prototype.getNamespace = function(fullname) {
+  return this.nsps.hasOwnProperty(fullname) ? this.nsps[fullname] : null;
+};
+
+// A set of live namespaces to emit to, as returned by namespaces.
+// to(room) narrows a copy to sockets in a room, as on a namespace.
+function NamespaceCollection(nsps, rooms) {
+  this.namespaces = nsps;
+  this.length = nsps.length;
+  this.rooms = rooms || [];
+}
+exports.NamespaceCollection = NamespaceCollection;
+
+NamespaceCollection.prototype.to =
+NamespaceCollection.prototype['in'] = function(room) {
+  return new NamespaceCollection(this.namespaces, this.rooms.concat(room));
+};
+
+NamespaceCollection.prototype.forEach = function(fn, self) {
+  this.namespaces.forEach(fn, self);
+  return this;
+};
+
+NamespaceCollection.prototype.emit = function() {
+  for (var j = 0; j < this.namespaces.length; ++j) {
+    var nsp = this.namespaces[j];
+    for (var k = 0; k < this.rooms.length; ++k) {
+      nsp.to(this.rooms[k]);
+    }
+    nsp.emit.apply(nsp, arguments);
+  }
+  return this;
+};
+
+// Creates and sets up a namespace ahead of time, and keeps it alive
+// until options.until (a Date or a time in ms by the clock) whether
+// or not it has sockets; after that, it retires as usual, so an
+// empty namespace expires at until plus its retirement.  A new
+// namespace gets options.setupArgs in nsp.setupArgs during setup.
+// Reserving a live namespace again just moves its reservation.
+// Asynchronous setup may still reject the namespace after it is
+// returned, so callback(err, nsp), if given, is called once setup
+// is done; errors then go to callback instead of being thrown.
+DynamicServer.prototype.reserveNamespace = function(
+    name, host, options, callback) {
+  if (callback == null && typeof(options) == 'function') {
+    callback = options;
+    options = null;
+  }
+  if (callback == null && typeof(host) == 'function') {
+    callback = host;
+    host = null;
+  }
+  if (options == null && host && typeof(host) == 'object') {
+    options = host;
+    host = null;
+  }
+  options = options || {};
+  if (!/^\//.test(name)) {
+    // Insert a leading slash if needed, as of() does.
+    name = '/' + name;
+  }
+  var nsp = this.nsps[fullNamespaceName(name, host)] ||
+      this.initializeNamespace(name, host, true, options.setupArgs);
+  if (!nsp) {
+    var err = new Error('Cannot reserve ' + fullNamespaceName(name, host));
+    if (!callback) throw err;
+    process.nextTick(function() {
+      callback(err);
+    });
+    return null;
+  }
+  var now = this._clock.now();
+  nsp._reservedUntil = options.until == null ? now : +options.until;
+  if (!nsp.sockets.length) {
+    // Start retirement now; the reservation holds it off.
+    nsp._expirationTime = now + nsp.retirement;
+  }
+  this._schedule(nsp);
+  if (callback) {
+    var server = this;
+    var answer = function() {
+      // A namespace rejected by setup has been deleted.
+      if (server.nsps[nsp.fullname()] === nsp) {
+        callback(null, nsp);
+      } else {
+        callback(new Error('Cannot reserve ' + nsp.fullname()));
+      }
+    };
+    if (nsp.setupDone == -1) {
+      nsp._setupWaiting.push(answer);
+    } else {
+      process.nextTick(answer);
+    }
+  }
+  return nsp;
+};
+
+// Returns a NamespaceCollection of the live namespaces matching a
+// setupNamespace pattern, such as {host: '*', name: '/news'}.
+// Like getNamespace, this never creates a namespace.
+DynamicServer.prototype.namespaces = function(pattern) {
+  return new NamespaceCollection(this.listNamespaces({pattern: pattern}));
+};
+
+// Emits an event to every live namespace matching pattern, on any
+// host, and returns the collection of namespaces it reached.
+DynamicServer.prototype.broadcastTo = function(pattern) {
+  var nsps = this.namespaces(pattern);
+  return nsps.emit.apply(nsps, Array.prototype.slice.call(arguments, 1));
+};
+
+// Expires a namespace now, the same way retirement does: its expire
+// callbacks run and it is deleted.  Namespaces with sockets are only
+// expired with options.force, which disconnects the sockets first.
+// With a registry, the registry decides as it does for retirement,
+// so a namespace still in use on another server just retires again.
+// Returns true if the namespace was released.
+DynamicServer.prototype.expireNamespace = function(fullname, options) {
+  var nsp = this.getNamespace(fullname);
+  if (!nsp || nsp === this.sockets) return false;
+  var force = !!(options && options.force);
+  if (nsp.sockets.length && !force) return false;
+  this._releaseNamespace(nsp, force);
+  return true;
+};
+
+// Disconnects the sockets with the given id (which is the id of
+// their client), in the namespace with the given full name, or in
+// every namespace if fullname is omitted.  Returns the number of
+// sockets disconnected.
+DynamicServer.prototype.disconnectSocket = function(id, fullname) {
+  var count = 0;
+  var nsps = fullname == null ? this.listNamespaces() :
+      [this.getNamespace(fullname)];
+  for (var j = 0; j < nsps.length; ++j) {
+    var socket = nsps[j] && nsps[j].connected[id];
+    if (socket) {
+      socket.disconnect();
+      count += 1;
+    }
+  }
+  return count;
+};
+
+// Override "of" to handle an optional 'host' argument
+// an an "fn" of "true", which indicates a request for
+// andautomatically created namespace.
+DynamicServer.prototype.of = function(name, host, fn) {
+  if (fn == null && typeof(host) == 'function') {
+    fn = host;
+    host = null;
+  }
+  if (!/^\//.test(name)) {
+    // Insert a leading slash if needed.
+    name = '/' + name;
+  }
+
+  // Add a leading hostname for lookup.
+  var fullname = fullNamespaceName(name, host);
+  if (!this.nsps[fullname]) {
+    debug('initializing namespace %s', fullname);
+    var nsp = this.initializeNamespace(name, host, fn === true);
+    if (nsp == null) {
+      debug('unrecognized namespace', fullname);
+      return;
+    }
+  }
+  if (typeof(fn) == 'function') this.nsps[fullname].on('connect', fn);
+  return this.nsps[fullname];
+};
+
+// Hook in the /socket.io/status URL
+DynamicServer.prototype.attachServe = function(srv) {
+  debug('attaching web request handler');
+  var prefix = this._path;
+  var clienturl = prefix + '/socket.io.js';
+  var statusurl = prefix + '/status';
+  var adminurl = prefix + '/admin/';
+  var metricsurl = prefix + '/metrics';
+  var evs = srv.listeners('request').slice(0);
+  var self = this;
+  srv.removeAllListeners('request');
+  srv.on('request', function(req, res) {
+    if (0 == req.url.indexOf(clienturl)) {
+      self.serve(req, res);
+    } else if ((self._publicStatus || self._statusAuth) &&
+        0 == req.url.indexOf(statusurl)) {
+      self.authorizeStatus(req, res, function() {
+        self.serveStatus(req, res);
+      });
+    } else if ((self._publicStatus || self._statusAuth) &&
+        0 == req.url.indexOf(metricsurl)) {
+      self.authorizeStatus(req, res, function() {
+        self.serveMetrics(req, res);
+      });
+    } else if (self._admin && 0 == req.url.indexOf(adminurl)) {
+      self.authorizeStatus(req, res, function() {
+        self.serveAdmin(req, res);
+      });
+    } else {
+      for (var i = 0; i < evs.length; i++) {
+        evs[i].call(srv, req, res);
+      }
+    }
+  });
+};
+
+// Calls fn if the request passes statusAuth, and otherwise
+// responds with 401 (no or bad credentials) or 403 (refused).
+DynamicServer.prototype.authorizeStatus = function(req, res, fn) {
+  var auth = this._statusAuth;
+  if (!auth) return fn();
+  function deny(code) {
+    debug('status request denied with %d', code);
+    if (code == 401) {
+      res.setHeader('WWW-Authenticate', auth.token != null ?
+          'Bearer realm="socket.io"' : 'Basic realm="socket.io"');
+    }
+    res.writeHead(code);
+    res.end();
+  }
+  if (typeof(auth) == 'function') {
+    auth.call(this, req, function(err, ok) {
+      if (err) return deny(401);
+      if (!ok) return deny(403);
+      fn();
+    });
+    return;
+  }
+  var given = req.headers.authorization;
+  if (!given) return deny(401);
+  var accepted = [];
+  if (auth.token != null) {
+    accepted.push('Bearer ' + auth.token);
+  }
+  if (auth.username != null) {
+    accepted.push('Basic ' + new Buffer(
+        auth.username + ':' + (auth.password || '')).toString('base64'));
+  }
+  if (accepted.indexOf(given) < 0) return deny(403);
+  fn();
+};
+
+// Returns '*' if a status request may see every host, or else the
+// one host it may see (null for the main host).  A request without
+// a Host header matches no host, so it only sees the main host.
+DynamicServer.prototype._statusHost = function(req) {
+  if (!req.headers.host) return null;
+  var host = this.mapHost(req.headers.host);
+  if (host != null) return host;
+  // A null match selects the namespaces of the main host.
+  return this._statusHostOnly ? null : '*';
+};
+
+// Collects the namespaces visible to a status request, sorted
+// for display.  Requests on the main host see every namespace
+// (unless statusHostOnly is set); requests on other hosts see
+// only their own.
+DynamicServer.prototype._statusNamespaces = function(req) {
+  var match = this._statusHost(req);
+  var nsps = this.listNamespaces(match == '*' ? {} : {host: match});
+  return {match: match, nsps: nsps};
+};
+
+// Lists the rooms a socket has joined, other than its own.
+function socketRooms(socket) {
+  var rooms = [];
+  for (var m = 0; m < socket.rooms.length; ++m) {
+    if (socket.rooms[m] != socket.client.id) {
+      rooms.push(socket.rooms[m]);
+    }
+  }
+  return rooms;
+}
+
+DynamicServer.prototype.serveStatus = function(req, res) {
+  if (/\.json(\?|$)/.test(req.url) ||
+      /application\/json/.test(req.headers.accept || '')) {
+    return this.serveStatusJson(req, res);
+  }
+  debug('serve status');
+  var status = this._statusNamespaces(req);
+  var match = status.match;
+
+  var html = ['<!doctype html>', '<html>', '<body>', '<pre>'];
+  html.push('<a href="status">Refresh</a> active namespaces on ' +
+      (match == null ? req.headers.host : match), '');
+  html.push(status.nsps.length + ' namespaces' +
+      (this._maxNamespaces < Infinity ?
+          ' (limit ' + this._maxNamespaces + ')' : ''), '');
+  var now = this._clock.now();
+  for (var j = 0; j < status.nsps.length; ++j) {
+    var nsp = status.nsps[j];
     html.push(match == '*' ? nsp.fullname() : nsp.name);
     if (nsp.rooms && nsp.rooms.length > 1) {
       html.push('  rooms: ' + nsp.rooms.join(' '));
@@ -315,12 +1463,9 @@ DynamicServer.prototype.serveStatus = function(req, res) {
         clientdesc += ' from ' + socket.request.connection.remoteAddress;
       }
       var roomdesc = '';
-      if (socket.rooms.length > 1) {
-        for (var m = 0; m < socket.rooms.length; ++m) {
-          if (socket.rooms[m] != socket.client.id) {
-            roomdesc += ' ' + socket.rooms[m];
-          }
-        }
+      var rooms = socketRooms(socket);
+      if (rooms.length) {
+        roomdesc = ' ' + rooms.join(' ');
       }
       html.push(' socket ' + socket.id + clientdesc + roomdesc);
     }
@@ -331,46 +1476,451 @@ DynamicServer.prototype.serveStatus = function(req, res) {
   res.end(html.join('\n'));
 };
 
+// The same information as serveStatus, as JSON for dashboards.
+// Expiration times are in milliseconds since the epoch, and
+// are null when the namespace is not scheduled to expire.
+DynamicServer.prototype.serveStatusJson = function(req, res) {
+  debug('serve status json');
+  var status = this._statusNamespaces(req);
+  var now = this._clock.now();
+  var result = {
+    host: status.match,
+    now: now,
+    counts: {total: status.nsps.length, hosts: {}},
+    limits: {
+      maxNamespaces: this._maxNamespaces < Infinity ?
+          this._maxNamespaces : null,
+      maxNamespacesPerHost: this._maxNamespacesPerHost < Infinity ?
+          this._maxNamespacesPerHost : null,
+      namespaceRateLimit: this._namespaceRateLimit
+    },
+    namespaces: []
+  };
+  for (var j = 0; j < status.nsps.length; ++j) {
+    var nsp = status.nsps[j];
+    // Counts are keyed by host, with '' for the main host.
+    var key = nsp.host || '';
+    result.counts.hosts[key] = (result.counts.hosts[key] || 0) + 1;
+    var expiration = nsp._expiration();
+    var sockets = [];
+    for (var k = 0; k < nsp.sockets.length; ++k) {
+      var socket = nsp.sockets[k];
+      sockets.push({
+        id: socket.id,
+        address: socket.request.connection.remoteAddress || null,
+        rooms: socketRooms(socket)
+      });
+    }
+    result.namespaces.push({
+      fullname: nsp.fullname(),
+      name: nsp.name,
+      host: nsp.host == null ? null : nsp.host,
+      rooms: nsp.rooms ? nsp.rooms.slice() : [],
+      sockets: sockets,
+      retirement: nsp.retirement < Infinity ? nsp.retirement : null,
+      expiration: expiration < Infinity ? expiration : null,
+      expiresIn: expiration < Infinity ? expiration - now : null
+    });
+  }
+  res.setHeader('Content-Type', 'application/json');
+  res.writeHead(200);
+  res.end(JSON.stringify(result));
+};
+
+// Quotes a Prometheus label value.
+function metricLabel(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n') + '"';
+}
+
+// Serves metrics in the Prometheus text format.  Like the status
+// page, other hosts only see their own namespaces, and the main host
+// sees every host's (unless statusHostOnly); it is labeled host="".
+DynamicServer.prototype.serveMetrics = function(req, res) {
+  debug('serve metrics');
+  var lines = [];
+  function metric(name, type, help, samples) {
+    lines.push('# HELP ' + name + ' ' + help, '# TYPE ' + name + ' ' + type);
+    for (var j = 0; j < samples.length; ++j) {
+      var labels = samples[j][0], text = '';
+      for (var key in labels) {
+        text += (text ? ',' : '') + key + '=' + metricLabel(labels[key]);
+      }
+      lines.push(name + (text ? '{' + text + '}' : '') + ' ' + samples[j][1]);
+    }
+  }
+  var hosts = [], sockets = [], packetsIn = [], packetsOut = [];
+  var nsps = this._statusNamespaces(req).nsps, hostCounts = {};
+  for (var j = 0; j < nsps.length; ++j) {
+    var key = nsps[j].host || '';
+    hostCounts[key] = (hostCounts[key] || 0) + 1;
+  }
+  for (var host in hostCounts) {
+    hosts.push([{host: host}, hostCounts[host]]);
+  }
+  for (j = 0; j < nsps.length; ++j) {
+    var labels = {namespace: nsps[j].fullname()};
+    sockets.push([labels, nsps[j].sockets.length]);
+    packetsIn.push([labels, nsps[j]._packetsIn]);
+    packetsOut.push([labels, nsps[j]._packetsOut]);
+  }
+  var counts = this._counts;
+  metric('dynamicio_namespaces', 'gauge',
+      'Live namespaces by host.', hosts);
+  metric('dynamicio_namespace_sockets', 'gauge',
+      'Connected sockets by namespace.', sockets);
+  metric('dynamicio_namespaces_created_total', 'counter',
+      'Namespaces created.', [[{}, counts.create]]);
+  metric('dynamicio_namespaces_rejected_total', 'counter',
+      'Namespaces refused by setup or by namespace limits.',
+      [[{reason: 'setup'}, counts.reject], [{reason: 'limit'}, counts.limit]]);
+  metric('dynamicio_namespaces_expired_total', 'counter',
+      'Namespaces expired.', [[{}, counts.expire]]);
+  metric('dynamicio_cleanup_seconds', 'summary',
+      'Time spent in cleanupExpiredNamespaces.', []);
+  lines.push('dynamicio_cleanup_seconds_sum ' + this._cleanupSeconds,
+      'dynamicio_cleanup_seconds_count ' + this._cleanups);
+  metric('dynamicio_cleanup_deadline_seconds', 'gauge',
+      'When the pending cleanup timer fires, in seconds since the ' +
+      'epoch, or 0 if none is pending.',
+      [[{}, this._cleanupDeadline == null ? 0 : this._cleanupDeadline / 1000]]);
+  metric('dynamicio_packets_received_total', 'counter',
+      'Packets received from clients by namespace.', packetsIn);
+  metric('dynamicio_packets_sent_total', 'counter',
+      'Packets sent to clients by namespace.', packetsOut);
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.writeHead(200);
+  res.end(lines.join('\n') + '\n');
+};
+
+// Reads a JSON request body of up to 64KB.
+function readJsonBody(req, callback) {
+  var chunks = [], length = 0, failed = false;
+  req.on('data', function(chunk) {
+    length += chunk.length;
+    if (length > 65536 && !failed) {
+      failed = true;
+      callback(new Error('Request too large'));
+    }
+    if (!failed) chunks.push(chunk);
+  });
+  req.on('end', function() {
+    if (failed) return;
+    var body;
+    try {
+      body = length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {};
+    } catch (e) {
+      return callback(e);
+    }
+    callback(null, body || {});
+  });
+}
+
+// Handles POSTs to socket.io/admin/<action> with a JSON body:
+//  expire {namespace, force} - expires a namespace.
+//  disconnect {id, namespace} - disconnects a socket.
+//  broadcast {namespace, room, event, args} - emits to a namespace.
+//  retirement {namespace, retirement} - changes a retirement period.
+// Namespaces are full names, and like the status page, requests on
+// hosts other than the main host may only touch their own host.
+// Bodies must be sent as application/json, which browsers will not
+// send across origins without asking first.
+DynamicServer.prototype.serveAdmin = function(req, res) {
+  var self = this;
+  var action = req.url.substr(this._path.length + '/admin/'.length)
+      .replace(/[?#].*$/, '');
+  function reply(code, body) {
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(code);
+    res.end(JSON.stringify(body));
+  }
+  if (req.method != 'POST') {
+    res.setHeader('Allow', 'POST');
+    return reply(405, {error: 'Method not allowed'});
+  }
+  var type = req.headers['content-type'] || '';
+  if (!/^application\/json\s*(;|$)/i.test(type)) {
+    return reply(415, {error: 'Unsupported media type'});
+  }
+  var match = this._statusHost(req);
+  readJsonBody(req, function(err, body) {
+    if (err) return reply(400, {error: err.message});
+    var nsp = null;
+    if (body.namespace != null) {
+      nsp = self.getNamespace(String(body.namespace));
+      if (!nsp || (match != '*' && nsp.host != match)) {
+        return reply(404, {error: 'Unknown namespace'});
+      }
+    }
+    debug('admin %s %s', action, body.namespace);
+    switch (action) {
+      case 'expire':
+        if (!nsp) return reply(400, {error: 'Missing namespace'});
+        return reply(200, {expired:
+            self.expireNamespace(nsp.fullname(), {force: !!body.force})});
+      case 'disconnect':
+        if (body.id == null) return reply(400, {error: 'Missing id'});
+        var nsps = nsp ? [nsp] :
+            self.listNamespaces(match == '*' ? {} : {host: match});
+        var count = 0;
+        for (var j = 0; j < nsps.length; ++j) {
+          count += self.disconnectSocket(String(body.id), nsps[j].fullname());
+        }
+        return reply(200, {disconnected: count});
+      case 'broadcast':
+        if (!nsp) return reply(400, {error: 'Missing namespace'});
+        if (typeof(body.event) != 'string' ||
+            ~IONamespace.events.indexOf(body.event)) {
+          // Reserved events would be emitted on the server instead.
+          return reply(400, {error: 'Invalid event'});
+        }
+        var sent = nsp.sockets.length, target = nsp;
+        if (body.room != null) {
+          var room = nsp.adapter.rooms && nsp.adapter.rooms[body.room];
+          sent = room ? Object.keys(room).length : 0;
+          target = nsp.to(String(body.room));
+        }
+        target.emit.apply(target, [body.event].concat(body.args || []));
+        return reply(200, {sent: sent});
+      case 'retirement':
+        if (!nsp) return reply(400, {error: 'Missing namespace'});
+        var retirement = body.retirement == null ? Infinity : +body.retirement;
+        if (!(retirement >= 0)) {
+          return reply(400, {error: 'Invalid retirement'});
+        }
+        nsp.setRetirement(retirement);
+        return reply(200, {retirement:
+            retirement < Infinity ? retirement : null});
+      default:
+        return reply(404, {error: 'Unknown action'});
+    }
+  });
+};
+
 // This subclass relies on "of" to make a namespace.
 function DynamicClient(server, conn, host) {
   IOClient.apply(this, arguments);
   this.host = host;
+  // Maps namespaces joined through an alias to the aliased names
+  // that this client knows them by.
+  this._aliases = {};
 }
 util.inherits(DynamicClient, IOClient)
 exports.DynamicClient = DynamicClient;
 
-// Add hostname to namespace even if it doesn't yet exist.
+// Add hostname to namespace even if it doesn't yet exist.  The
+// client knows the namespace as name, which may be an alias for
+// the namespace that it actually joins.
 DynamicClient.prototype.connect = function(name) {
   debug('connecting to namespace %s (%s)', name, this.host);
-  var nsp = this.server.of(name, this.host, true);
+  var target = name;
+  var alias = name == '/' ? null : this.server.resolveAlias(name, this.host);
+  if (alias) {
+    if (alias.redirect) {
+      debug('client %s redirected from %s to %s', this.id, name, alias.name);
+      this.packet({ type: parser.ERROR, nsp: name,
+          data: { message: 'Namespace moved', redirect: alias.name } });
+      return;
+    }
+    target = alias.name;
+    if (this.nsps[target] || this._aliases.hasOwnProperty(target)) {
+      // Packets to the client could not tell the two apart.
+      this.packet({ type: parser.ERROR, nsp: name,
+          data: 'Already connected to ' + target });
+      return;
+    }
+  } else if (this._aliases.hasOwnProperty(name)) {
+    // Skip the alias rewriting that would send this to the alias.
+    IOClient.prototype.packet.call(this, { type: parser.ERROR, nsp: name,
+        data: 'Already connected to ' + name });
+    return;
+  }
+  var created = !this.server.nsps[fullNamespaceName(target, this.host)];
+  var address = this.request.connection.remoteAddress;
+  if (created) {
+    var limitError =
+        this.server.namespaceLimitError(this.host, address, target);
+    if (limitError) {
+      debug('client %s refused from %s: %s', this.id, name, limitError);
+      this.server._counts.limit += 1;
+      this.packet({ type: parser.ERROR, nsp: name, data : limitError});
+      return;
+    }
+  }
+  var nsp = this.server.of(target, this.host, true);
+  if (created && nsp) {
+    this.server._countCreation(address);
+  }
   if (nsp == null) {
     this.packet({ type: parser.ERROR, nsp: name, data : 'Invalid namespace'});
     return;
   }
+  var self = this;
+  if (nsp.setupDone == -1) {
+    // Hold the client until asynchronous setup is done, then admit
+    // it if the namespace survived setup.
+    nsp._setupWaiting.push(function() {
+      if ('open' != self.conn.readyState) return;
+      if (self.server.nsps[nsp.fullname()] === nsp) {
+        self.connect(name);
+      } else {
+        self.packet({ type: parser.ERROR, nsp: name, data : 'Invalid namespace'});
+      }
+    });
+    return;
+  }
   if (name != '/' && !this.nsps['/']) {
     this.connectBuffer.push(name);
     return;
   }
-  var self = this;
-  var socket = nsp.add(this, function() {
-    self.sockets.push(socket);
-    debug('client %s adding socket as self.nsps[%s]', self.id, name);
-    self.nsps[name] = socket;
-    if (name == '/' && self.connectBuffer.length > 0) {
-      self.connectBuffer.forEach(self.connect, self);
-      self.connectBuffer = [];
+  // Keep the namespace from expiring while the client is authorized.
+  nsp._authorizing += 1;
+  this.authorize(target, function(err) {
+    nsp._authorizing -= 1;
+    self.server._schedule(nsp);
+    if ('open' != self.conn.readyState) return;
+    if (err) {
+      debug('client %s refused from %s', self.id, name);
+      self.packet({ type: parser.ERROR, nsp: name, data : errorPayload(err)});
+      return;
+    }
+    if (self.server.nsps[nsp.fullname()] !== nsp) {
+      // The namespace expired while we were authorizing; start over.
+      self.connect(name);
+      return;
+    }
+    if (nsp._occupancy() >= nsp.maxSockets) {
+      if (nsp.overflow == 'queue') {
+        // Wait for a slot; remove will retry the connection.
+        debug('client %s waiting for room in %s', self.id, name);
+        nsp._overflowQueue.push({client: self, name: name});
+      } else {
+        debug('client %s refused from full %s', self.id, name);
+        self.packet({ type: parser.ERROR, nsp: name, data : 'Namespace full'});
+      }
+      return;
+    }
+    if (target != name) {
+      self._aliases[target] = name;
     }
+    var socket = nsp.add(self, function() {
+      self.sockets.push(socket);
+      debug('client %s adding socket as self.nsps[%s]', self.id, name);
+      self.nsps[name] = socket;
+      if (name == '/' && self.connectBuffer.length > 0) {
+        self.connectBuffer.forEach(self.connect, self);
+        self.connectBuffer = [];
+      }
+    });
   });
 };
 
+// Runs the server's authorizeNamespace hooks in order, then calls
+// callback(err), where err is the payload to refuse with, if any.
+DynamicClient.prototype.authorize = function(name, callback) {
+  var authorizers = this.server._authorizers;
+  var self = this;
+  var j = 0;
+  function next() {
+    if (j >= authorizers.length) return callback(null);
+    var args = [self, self.request, self.host, name];
+    callFlexible(authorizers[j++], self.server, args, function(err, ok) {
+      if (err) return callback(err);
+      if (ok === false) return callback('Not authorized');
+      next();
+    });
+  }
+  next();
+};
+
+// Counts packets from the client in the namespace they are for.
+DynamicClient.prototype.ondecoded = function(packet) {
+  if (packet.type != parser.CONNECT) {
+    var socket = this.nsps[packet.nsp];
+    if (socket) socket.nsp._packetsIn += 1;
+  }
+  return IOClient.prototype.ondecoded.apply(this, arguments);
+};
+
+// Renames packets from aliased namespaces to the names the client
+// used, and counts packets to the client.  Broadcasts arrive here
+// already encoded, but still carry the name of their namespace.
+DynamicClient.prototype.packet = function(packet, preEncoded) {
+  if (this._aliases.hasOwnProperty(packet.nsp)) {
+    var alias = this._aliases[packet.nsp];
+    if (preEncoded) {
+      // Encoded packets are shared by every socket in a broadcast,
+      // so rewrite a copy.
+      var copy = packet.slice();
+      copy[0] = renameEncoded(packet[0], packet.nsp, alias);
+      copy.nsp = alias;
+      packet = copy;
+    } else {
+      packet.nsp = alias;
+    }
+    arguments[0] = packet;
+  }
+  var socket = this.nsps[packet.nsp];
+  if (socket) socket.nsp._packetsOut += 1;
+  return IOClient.prototype.packet.apply(this, arguments);
+};
+
+// Forgets the aliased name of a socket as it leaves.
+DynamicClient.prototype.remove = function(socket) {
+  IOClient.prototype.remove.apply(this, arguments);
+  var target = socket.nsp.name;
+  if (this._aliases.hasOwnProperty(target)) {
+    var alias = this._aliases[target];
+    if (this.nsps[alias] === socket) {
+      delete this.nsps[alias];
+    }
+    delete this._aliases[target];
+  }
+};
+
+// Changes the namespace of an encoded packet string, which looks
+// like <type>[<attachments>-][<nsp>,]<rest>, where the namespace
+// and its comma are left out for '/'.
+function renameEncoded(str, from, to) {
+  if (typeof(str) != 'string') return str;
+  var head = /^\d(\d+-)?/.exec(str)[0];
+  var rest = str.substring(head.length);
+  if (from != '/') {
+    if (rest.indexOf(from) != 0) return str;
+    rest = rest.substring(from.length);
+    if (rest && rest.charAt(0) != ',') return str;
+    rest = rest.substring(1);
+  }
+  if (to == '/') return head + rest;
+  return head + to + (rest ? ',' + rest : '');
+}
+
 // Start ids at some big number instead of 0.
 // Tell server to delete me after I have no sockets.
 function DynamicNamespace(server, name, host) {
   IONamespace.apply(this, arguments);
-  // Remember the host name.
-  this.host = host;
+  // Remember the host name (null for the main host).
+  this.host = host == null ? null : host;
   // Only call setup once.
   this.setupDone = 0;
+  // Clients waiting for an asynchronous setup to finish.
+  this._setupWaiting = [];
+  // The setupNamespace registration that set this namespace up.
+  this._setupEntry = null;
+  // Named captures when set up by a route such as '/room/:id'.
+  this.params = {};
+  // The most sockets allowed at once, and whether to 'reject' or
+  // 'queue' clients that arrive when the namespace is full.
+  this.maxSockets = Infinity;
+  this.overflow = 'reject';
+  this._overflowQueue = [];
+  // Sockets being admitted, which hold a slot before they join,
+  // and the number of clients still being authorized.
+  this._admitting = [];
+  this._authorizing = 0;
+  // State that a store keeps across expiration.
+  this.state = {};
+  this._stateLoaded = false;
   // Default retirement is "Infinity", but will be reduced to 10s
   // for dynamically created namespaces.
   this.retirement = Infinity;
@@ -379,8 +1929,23 @@ function DynamicNamespace(server, name, host) {
   this.ids = Math.floor(Math.random() * 1000000000);
   // Set the expiration date to never.
   this._expirationTime = Infinity;
+  // Whether namespace:retire was emitted since a socket last joined.
+  this._retired = false;
+  // Not in the server's expiration queue.
+  this._queueIndex = null;
+  this._queueTime = Infinity;
   // No expiration callback by default.
   this._expirationCallbacks = null;
+  // Packets to and from clients, for the metrics page.
+  this._packetsIn = 0;
+  this._packetsOut = 0;
+  // Arguments for setup from reserveNamespace, and the time the
+  // reservation keeps the namespace alive until.
+  this.setupArgs = null;
+  this._reservedUntil = null;
+  // The parent namespace, if any, and the child namespaces.
+  this.parent = null;
+  this._children = [];
 }
 util.inherits(DynamicNamespace, IONamespace)
 exports.DynamicNamespace = DynamicNamespace;
@@ -388,13 +1953,39 @@ exports.DynamicNamespace = DynamicNamespace;
 // At the end of remove, request cleanup if there
 // are no sockets.
 DynamicNamespace.prototype.remove = function(socket) {
+  var wasFull = this._occupancy() >= this.maxSockets;
   IONamespace.prototype.remove.apply(this, arguments);
+  if (wasFull && this._occupancy() < this.maxSockets) {
+    this._admitQueued();
+  }
+  if (!this.sockets.length) {
+    this._retire();
+  }
+  if (this.server._shutdown) {
+    this.server._shutdown.check();
+  }
+};
+
+// Once a namespace is empty, it goes into a period of retirement,
+// after which it may be deleted.  Set the expiration for 10
+// seconds from now.
+DynamicNamespace.prototype._retire = function() {
+  this._expirationTime = this.server._clock.now() + this.retirement;
+  this.server._schedule(this);
+  this.server._tellRegistry('leave', this);
+  if (this.retirement < Infinity) {
+    this._retired = true;
+    this.server._lifecycle('retire', this);
+  }
+};
+
+// Changes the retirement period.  An empty namespace restarts its
+// retirement with the new period.
+DynamicNamespace.prototype.setRetirement = function(retirement) {
+  this.retirement = retirement;
   if (!this.sockets.length) {
-    // Once a namespace is empty, it goes into a period of retirement,
-    // after which it may be deleted.  Set the expiration for 10
-    // seconds from now.
-    this._expirationTime = +(new Date) + this.retirement;
-    this.server.requestCleanupAfter(this.retirement);
+    this._expirationTime = this.server._clock.now() + retirement;
+    this.server._schedule(this);
   }
 };
 
@@ -418,25 +2009,509 @@ DynamicNamespace.prototype.expire = function(callback) {
   }
 }
 
+// Replaces the adapter inherited from the server, which is only
+// allowed before any socket joins.  Adapter is constructed as
+// new Adapter(nsp), like the adapters given to io.adapter().
+DynamicNamespace.prototype.useAdapter = function(Adapter) {
+  if (this.sockets.length) {
+    throw new Error('Cannot change the adapter of ' + this.fullname() +
+                    ' after sockets have joined');
+  }
+  this._disposeAdapter();
+  this.adapter = new Adapter(this);
+  return this;
+};
+
+// Lets go of the adapter when the namespace goes away: adapters
+// that hold subscriptions should release them in close() or
+// dispose(), and rooms are cleared for the memory adapter.
+DynamicNamespace.prototype._disposeAdapter = function() {
+  var adapter = this.adapter;
+  if (!adapter) return;
+  if (typeof(adapter.close) == 'function') {
+    adapter.close();
+  } else if (typeof(adapter.dispose) == 'function') {
+    adapter.dispose();
+  }
+  adapter.rooms = {};
+  adapter.sids = {};
+};
+
 // Concatenate host and name for the full namespace name.
 DynamicNamespace.prototype.fullname = function() {
   return fullNamespaceName(this.name, this.host);
 };
 
 // After there are no sockets, each namespace has an
-// expiration time.
+// expiration time.  A parent never expires before its children,
+// a reserved namespace starts retiring at the earliest when its
+// reservation ends, and none expires during setup or while clients
+// are authorized.
 DynamicNamespace.prototype._expiration = function() {
-  if (this.sockets.length) return Infinity;
-  return this._expirationTime;
+  if (this.sockets.length || this._authorizing || this.setupDone == -1) {
+    return Infinity;
+  }
+  var expiration = this._expirationTime;
+  if (this._reservedUntil != null) {
+    expiration = Math.max(expiration, this._reservedUntil + this.retirement);
+  }
+  for (var j = 0; j < this._children.length; ++j) {
+    expiration = Math.max(expiration, this._children[j]._expiration());
+  }
+  return expiration;
+};
+
+// Makes this namespace a child of parent, which is a namespace or
+// the name of one on the same host (created like a client would
+// create it, and then retired if nobody joins it).  A parent stays
+// alive while any of its descendants do.  Pass null to detach.
+DynamicNamespace.prototype.setParent = function(parent) {
+  var server = this.server;
+  if (typeof(parent) == 'string') {
+    var name = parent;
+    var created = !server.nsps[fullNamespaceName(name, this.host)];
+    parent = server.of(name, this.host, true);
+    if (!parent) {
+      throw new Error('No namespace ' + fullNamespaceName(name, this.host));
+    }
+    if (created) {
+      parent.setRetirement(parent.retirement);
+    }
+  }
+  for (var up = parent; up; up = up.parent) {
+    if (up === this) {
+      throw new Error('Namespace ' + this.fullname() +
+                      ' cannot be its own ancestor');
+    }
+  }
+  var old = this.parent;
+  if (old) {
+    old._children.splice(old._children.indexOf(this), 1);
+  }
+  this.parent = parent || null;
+  if (parent) {
+    parent._children.push(this);
+  }
+  server._schedule(this);
+  if (old) server._schedule(old);
+  return this;
+};
+
+// Lists the live child namespaces.
+DynamicNamespace.prototype.children = function() {
+  return this._children.slice();
+};
+
+// Emits an event to the sockets of this namespace and of all its
+// descendants.
+DynamicNamespace.prototype.broadcastDown = function() {
+  this.emit.apply(this, arguments);
+  for (var j = 0; j < this._children.length; ++j) {
+    this._children[j].broadcastDown.apply(this._children[j], arguments);
+  }
+  return this;
 };
 
 // When we have a socket added, we are no longer in retirement,
 // so reset our expirationTime.  Back in business!
-DynamicNamespace.prototype.add = function() {
+DynamicNamespace.prototype.add = function(client, fn) {
+  var revived = this._retired;
+  this._retired = false;
   this._expirationTime = Infinity;
-  return IONamespace.prototype.add.apply(this, arguments);
+  // Takes this namespace and its ancestors out of the queue.
+  this.server._schedule(this);
+  if (revived) {
+    this.server._lifecycle('revive', this);
+  }
+  if (!this.sockets.length) {
+    this.server._tellRegistry('join', this);
+  }
+  var self = this;
+  var socket = IONamespace.prototype.add.call(this, client, function() {
+    self._unreserve(socket);
+    if (self._occupancy() == self.maxSockets) {
+      Emitter.prototype.emit.call(self, 'full', self);
+    }
+    if (fn) fn.apply(this, arguments);
+  });
+  return socket;
+};
+
+// Namespace.add only pushes a socket onto "sockets" a tick after
+// running middleware, so the socket holds a slot from the moment
+// add runs it.  The slot is given back when the socket joins, or
+// on the tick after it fails to (when its client has gone away or
+// middleware refused it).
+DynamicNamespace.prototype.run = function(socket, fn) {
+  var self = this;
+  this._admitting.push(socket);
+  IONamespace.prototype.run.call(this, socket, function(err) {
+    fn(err);
+    process.nextTick(function() {
+      // Still reserved means it never joined, so its slot is free,
+      // and a namespace it leaves empty starts retiring again.
+      if (!self._unreserve(socket)) return;
+      if (self._overflowQueue.length) {
+        self._admitQueued();
+      }
+      if (!self._occupancy() &&
+          self.server.nsps[self.fullname()] === self) {
+        self._retire();
+      }
+    });
+  });
+};
+
+// Gives back the slot held by socket, returning false if it had none.
+DynamicNamespace.prototype._unreserve = function(socket) {
+  var index = this._admitting.indexOf(socket);
+  if (index < 0) return false;
+  this._admitting.splice(index, 1);
+  return true;
+};
+
+// Sockets joined plus sockets being admitted, for maxSockets.
+DynamicNamespace.prototype._occupancy = function() {
+  return this.sockets.length + this._admitting.length;
+};
+
+// When a slot frees up, retry the first queued client that is
+// still connected, or announce that the namespace is available.
+DynamicNamespace.prototype._admitQueued = function() {
+  while (this._overflowQueue.length) {
+    var next = this._overflowQueue.shift();
+    if ('open' == next.client.conn.readyState) {
+      next.client.connect(next.name);
+      return;
+    }
+  }
+  Emitter.prototype.emit.call(this, 'available', this);
+};
+
+// Sends queued clients away when the namespace expires.
+DynamicNamespace.prototype._refuseQueued = function() {
+  var queue = this._overflowQueue;
+  this._overflowQueue = [];
+  for (var j = 0; j < queue.length; ++j) {
+    queue[j].client.packet(
+        { type: parser.ERROR, nsp: queue[j].name, data : 'Invalid namespace'});
+  }
 };
 
 exports.DynamicSocket = IOSocket;
 
+// A store keeps namespace state (anything JSON can represent)
+// across expiration, under the full namespace name.  Stores
+// implement load(fullname, cb(err, state)), calling back with null
+// state for an unknown name, and save(fullname, state, cb(err)).
+// Saving empty state ({} or null) forgets the name, so that names
+// that never kept anything do not pile up.
+
+function isEmptyState(state) {
+  if (state == null) return true;
+  if (typeof(state) != 'object' || state instanceof Array) return false;
+  for (var key in state) {
+    if (state.hasOwnProperty(key)) return false;
+  }
+  return true;
+}
+
+// MemoryStore keeps state in this process.  It calls back
+// immediately.
+function MemoryStore() {
+  if (!(this instanceof MemoryStore)) return new MemoryStore();
+  this.states = {};
+}
+exports.MemoryStore = MemoryStore;
+
+MemoryStore.prototype.load = function(fullname, callback) {
+  var saved = this.states.hasOwnProperty(fullname) ?
+      JSON.parse(this.states[fullname]) : null;
+  callback(null, saved);
+};
+
+MemoryStore.prototype.save = function(fullname, state, callback) {
+  if (isEmptyState(state)) {
+    delete this.states[fullname];
+  } else {
+    this.states[fullname] = JSON.stringify(state);
+  }
+  if (callback) callback(null);
+};
+
+// FileStore keeps state in a directory of JSON files, one per
+// namespace, so that it survives server restarts.  A file that
+// is missing or cannot be read or parsed counts as no state, so
+// a bad file never keeps a namespace from being set up.
+function FileStore(dir) {
+  if (!(this instanceof FileStore)) return new FileStore(dir);
+  this.dir = dir;
+}
+exports.FileStore = FileStore;
+
+// Namespace names are chosen by clients, so long ones are cut
+// short and made unique with a hash, to stay within the limits
+// of file names.
+FileStore.prototype._filename = function(fullname) {
+  var name = encodeURIComponent(fullname);
+  if (name.length > 100) {
+    name = name.substring(0, 60) + '-' +
+        crypto.createHash('sha1').update(fullname).digest('hex');
+  }
+  return path.join(this.dir, name + '.json');
+};
+
+FileStore.prototype.load = function(fullname, callback) {
+  fs.readFile(this._filename(fullname), 'utf8', function(err, data) {
+    var state = null;
+    if (err) {
+      if (err.code != 'ENOENT') {
+        debug('reading state of %s failed: %s', fullname, err);
+      }
+    } else {
+      try {
+        state = JSON.parse(data);
+      } catch (e) {
+        debug('parsing state of %s failed: %s', fullname, e);
+      }
+    }
+    callback(null, state);
+  });
+};
+
+FileStore.prototype.save = function(fullname, state, callback) {
+  var filename = this._filename(fullname);
+  var temp = filename + '.' + process.pid + '.tmp';
+  callback = callback || function() {};
+  if (isEmptyState(state)) {
+    fs.unlink(filename, function(err) {
+      callback(err && err.code != 'ENOENT' ? err : null);
+    });
+    return;
+  }
+  fs.mkdir(this.dir, function(err) {
+    if (err && err.code != 'EEXIST') return callback(err);
+    // Write and rename, so readers never see a partial file.
+    fs.writeFile(temp, JSON.stringify(state), function(err) {
+      if (err) return callback(err);
+      fs.rename(temp, filename, callback);
+    });
+  });
+};
+
+// A registry lets several servers agree on which namespaces exist
+// and when they are empty everywhere.  Each server is a "member"
+// holding its own copy of a namespace.  Registries implement
+// register, join (the member's copy has sockets), leave (it is
+// empty), forget (it is gone), each taking (fullname, member), and
+// release(fullname, member, cb(err, result)), which a member calls
+// when its retirement is over.  The result is 'busy' if another
+// member still has sockets (so the copy is kept), 'expire' if this
+// was the last copy (so its expire callbacks should run), or 'drop'
+// if idle copies remain elsewhere (so it is deleted quietly).
+
+// LocalRegistry keeps track of members in this process.  It calls
+// back immediately.  Servers in one process can share it, and
+// ClusterRegistry.serve uses one in a cluster master.
+function LocalRegistry() {
+  if (!(this instanceof LocalRegistry)) return new LocalRegistry();
+  // Maps fullname to {member: true if it has sockets}.
+  this.namespaces = {};
+}
+exports.LocalRegistry = LocalRegistry;
+
+LocalRegistry.prototype.register = function(fullname, member) {
+  var members = this.namespaces[fullname] ||
+      (this.namespaces[fullname] = {});
+  if (!members.hasOwnProperty(member)) {
+    members[member] = false;
+  }
+};
+
+LocalRegistry.prototype.join = function(fullname, member) {
+  this.register(fullname, member);
+  this.namespaces[fullname][member] = true;
+};
+
+LocalRegistry.prototype.leave = function(fullname, member) {
+  var members = this.namespaces[fullname];
+  if (members && members.hasOwnProperty(member)) {
+    members[member] = false;
+  }
+};
+
+LocalRegistry.prototype.forget = function(fullname, member) {
+  var members = this.namespaces[fullname];
+  if (!members) return;
+  delete members[member];
+  for (var other in members) {
+    if (members.hasOwnProperty(other)) return;
+  }
+  delete this.namespaces[fullname];
+};
+
+// Forgets every namespace of a member, e.g., when a worker dies.
+LocalRegistry.prototype.forgetMember = function(member) {
+  for (var fullname in this.namespaces) {
+    if (this.namespaces.hasOwnProperty(fullname)) {
+      this.forget(fullname, member);
+    }
+  }
+};
+
+LocalRegistry.prototype.release = function(fullname, member, callback) {
+  var members = this.namespaces[fullname] || {};
+  for (var other in members) {
+    if (members.hasOwnProperty(other) && other != member && members[other]) {
+      return callback(null, 'busy');
+    }
+  }
+  this.forget(fullname, member);
+  callback(null, this.namespaces[fullname] ? 'drop' : 'expire');
+};
+
+// Lists the namespaces that exist on any member.
+LocalRegistry.prototype.list = function(callback) {
+  callback(null, Object.keys(this.namespaces));
+};
+
+// ClusterRegistry is used in cluster workers, and passes registry
+// calls over IPC to a LocalRegistry in the master, which is set up
+// by calling ClusterRegistry.serve(cluster) there.
+function ClusterRegistry(proc) {
+  if (!(this instanceof ClusterRegistry)) return new ClusterRegistry(proc);
+  var self = this;
+  this.process = proc || process;
+  this._seq = 0;
+  this._pending = {};
+  this.process.on('message', function(msg) {
+    if (!msg || msg.dynamicio != 'reply') return;
+    var callback = self._pending[msg.seq];
+    if (!callback) return;
+    delete self._pending[msg.seq];
+    callback(msg.error ? new Error(msg.error) : null, msg.result);
+  });
+}
+exports.ClusterRegistry = ClusterRegistry;
+
+ClusterRegistry.prototype._send = function(op, fullname, member, callback) {
+  var msg = {dynamicio: op, fullname: fullname, member: member};
+  if (callback) {
+    msg.seq = ++this._seq;
+    this._pending[msg.seq] = callback;
+  }
+  this.process.send(msg);
+};
+
+['register', 'join', 'leave', 'forget'].forEach(function(op) {
+  ClusterRegistry.prototype[op] = function(fullname, member) {
+    this._send(op, fullname, member);
+  };
+});
+
+ClusterRegistry.prototype.release = function(fullname, member, callback) {
+  this._send('release', fullname, member, callback);
+};
+
+ClusterRegistry.prototype.list = function(callback) {
+  this._send('list', null, null, callback);
+};
+
+// In the cluster master, answers the ClusterRegistry calls of every
+// worker forked from now on, and forgets a worker's namespaces when
+// it exits.  Returns the LocalRegistry used.
+ClusterRegistry.serve = function(cluster, registry) {
+  registry = registry || new LocalRegistry();
+  cluster.on('fork', function(worker) {
+    var members = {};
+    function reply(seq) {
+      return function(err, result) {
+        worker.send({dynamicio: 'reply', seq: seq,
+                     error: err ? String(err.message || err) : null,
+                     result: result});
+      };
+    }
+    worker.on('message', function(msg) {
+      if (!msg || !msg.dynamicio || msg.dynamicio == 'reply') return;
+      if (msg.member != null) {
+        members[msg.member] = true;
+      }
+      switch (msg.dynamicio) {
+        case 'release':
+          registry.release(msg.fullname, msg.member, reply(msg.seq));
+          break;
+        case 'list':
+          registry.list(reply(msg.seq));
+          break;
+        case 'register': case 'join': case 'leave': case 'forget':
+          registry[msg.dynamicio](msg.fullname, msg.member);
+          break;
+      }
+    });
+    worker.on('exit', function() {
+      for (var member in members) {
+        registry.forgetMember(member);
+      }
+    });
+  });
+  return registry;
+};
+
+// FakeClock can be passed as the clock option to control retirement
+// timing in tests.  Time stands still until tick(ms) advances it,
+// running the timers that come due, in order, along the way.
+function FakeClock(now) {
+  if (!(this instanceof FakeClock)) return new FakeClock(now);
+  this._now = now || 0;
+  this._timers = [];
+  this._timerIds = 0;
+}
+exports.FakeClock = FakeClock;
+
+FakeClock.prototype.now = function() {
+  return this._now;
+};
+
+FakeClock.prototype.setTimeout = function(fn, delay) {
+  var timer = {
+    id: ++this._timerIds,
+    time: this._now + Math.max(0, delay || 0),
+    fn: fn
+  };
+  this._timers.push(timer);
+  return timer;
+};
+
+FakeClock.prototype.clearTimeout = function(timer) {
+  var index = this._timers.indexOf(timer);
+  if (index >= 0) this._timers.splice(index, 1);
+};
+
+// The number of timers waiting to run.
+FakeClock.prototype.pending = function() {
+  return this._timers.length;
+};
+
+// Advances time by ms, running due timers (including ones that
+// they set) at their own times.
+FakeClock.prototype.tick = function(ms) {
+  var end = this._now + Math.max(0, ms || 0);
+  for (;;) {
+    var next = null;
+    for (var j = 0; j < this._timers.length; ++j) {
+      var timer = this._timers[j];
+      if (timer.time <= end && (!next || timer.time < next.time ||
+          (timer.time == next.time && timer.id < next.id))) {
+        next = timer;
+      }
+    }
+    if (!next) break;
+    this.clearTimeout(next);
+    this._now = next.time;
+    next.fn();
+  }
+  this._now = end;
+  return this;
+};
+
 module.exports = exports;
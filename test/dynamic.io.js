@@ -84,6 +84,41 @@ describe('dynamic.io', function(){
         client('http://localhost:' + addr.port + '/second');
       });
     });
+    it('should map host aliases with hostMap', function(){
+      var sio = io({
+        host: 'pencilcode.net',
+        hostMap: [
+          [/^www\.(.*)$/, '$1'],
+          ['staging.pencilcode.net', 'pencilcode.net'],
+          ['docs.example.com', 'docs'],
+          ['old.example.com', null]
+        ]
+      });
+      expect(sio.mapHost('www.pencilcode.net')).to.be(null);
+      expect(sio.mapHost('staging.pencilcode.net')).to.be(null);
+      expect(sio.mapHost('pencilcode.net')).to.be(null);
+      expect(sio.mapHost('old.example.com')).to.be(null);
+      expect(sio.mapHost('www.example.com')).to.be('example.com');
+      expect(sio.mapHost('docs.example.com')).to.be('docs');
+      expect(sio.mapHost('other.com')).to.be('other.com');
+    });
+    it('should route hostMap aliases to namespaces', function(done){
+      var srv = http();
+      var sio = io(srv, {
+        host: /^\d/,
+        hostMap: { 'localhost:*': 'vhost' }
+      });
+      sio.setupNamespace(/^\/\/vhost\/.*$/, function(nsp) {
+        if (nsp.name == '/') return;
+        expect(nsp.fullname()).to.be('//vhost/first');
+        expect(nsp.host).to.be('vhost');
+        done();
+      });
+      srv.listen(function() {
+        var addr = srv.address();
+        client('http://localhost:' + addr.port + '/first');
+      });
+    });
   });
 
   describe('namespaces', function(){
@@ -169,6 +204,76 @@ describe('dynamic.io', function(){
       });
     });
 
+    it('should match express-style routes', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var params = [];
+      sio.setupNamespace('/room/:roomId/:mode?', function(nsp, match){
+        expect(nsp.params).to.be(match.params);
+        params.push(match.params);
+      });
+      srv.listen(function() {
+        var a = client(srv, '/room/42');
+        a.on('connect', function() {
+          var b = client(srv, '/room/7/edit');
+          b.on('connect', function() {
+            var e = client(srv, '/room/7/edit/more');
+            e.on('error', function(err) {
+              expect(err).to.be('Invalid namespace');
+              expect(params).to.eql([
+                { roomId: '42', mode: undefined },
+                { roomId: '7', mode: 'edit' }
+              ]);
+              expect(sio.nsps['/room/7/edit'].params.mode).to.be('edit');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should match routes with hosts and splats', function(done){
+      var srv = http();
+      var sio = io(srv, { host: true });
+      sio.getHost = function(conn) {
+        return 'acme.example.com';
+      };
+      sio.setupNamespace('//:tenant.example.com/doc/*', function(nsp, match){
+        expect(match.params).to.eql({ tenant: 'acme', '0': 'a/b' });
+        expect(nsp.fullname()).to.be('//acme.example.com/doc/a/b');
+        done();
+      });
+      srv.listen(function() {
+        client(srv, '/doc/a/b');
+      });
+    });
+
+    it('should match host and name separately', function(done){
+      var srv = http();
+      var sio = io(srv, { host: /^\d/ });
+      var setup = [];
+      sio.setupNamespace({ host: /^(local)host/, name: /^\/doc\/(.*)$/ },
+      function(nsp, match){
+        expect(match[1]).to.be('a');
+        expect(match.host[1]).to.be('local');
+        setup.push(nsp.fullname());
+      });
+      sio.setupNamespace({ name: '/' }, function(nsp, match){});
+      srv.listen(function() {
+        var addr = srv.address();
+        var local = 'http://localhost:' + addr.port;
+        var c = client(local + '/doc/a');
+        c.on('connect', function() {
+          var e = client(srv, '/doc/a');
+          e.on('error', function(err) {
+            expect(err).to.be('Invalid namespace');
+            expect(setup).to.eql(['//localhost:' + addr.port + '/doc/a']);
+            done();
+          });
+        });
+      });
+    });
+
     it('should prioritize names over patterns, last first', function(done){
       var srv = http();
       var sio = io(srv);
@@ -212,6 +317,63 @@ describe('dynamic.io', function(){
       }
     });
 
+    it('should order setup by priority', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var setup = [];
+      sio.setupNamespace(/^\/pri\/.*$/, { priority: 10 }, function(nsp){
+        setup.push('high:' + nsp.name);
+      });
+      sio.setupNamespace('/pri/exact', function(nsp){
+        setup.push('exact:' + nsp.name);
+      });
+      sio.setupNamespace(/^\/pri\/.*$/, function(nsp){
+        setup.push('low:' + nsp.name);
+      });
+      srv.listen(function() {
+        var c = client(srv, '/pri/exact');
+        c.on('connect', function() {
+          expect(setup).to.eql(['high:/pri/exact']);
+          done();
+        });
+      });
+    });
+
+    it('should fall through declined setup', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var setup = [];
+      sio.setupNamespace(/^\/ft\/.*$/, function(nsp){
+        setup.push('generic:' + nsp.name);
+        return nsp.name != '/ft/none';
+      });
+      sio.setupNamespace(/^\/ft\/.*$/, { fallthrough: true }, function(nsp){
+        setup.push('special:' + nsp.name);
+        if (nsp.name == '/ft/special') return true;
+        if (nsp.name == '/ft/other') return 'next';
+      });
+      srv.listen(function() {
+        var s1 = client(srv, '/ft/special');
+        s1.on('connect', function() {
+          var s2 = client(srv, '/ft/other');
+          s2.on('connect', function() {
+            var s3 = client(srv, '/ft/none');
+            s3.on('error', function(err) {
+              expect(err).to.be('Invalid namespace');
+              expect(setup).to.eql([
+                'special:/ft/special',
+                'special:/ft/other',
+                'generic:/ft/other',
+                'special:/ft/none',
+                'generic:/ft/none'
+              ]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
     it('should not setup namespace twice', function(done){
       var srv = http();
       var sio = io(srv);
@@ -250,6 +412,386 @@ describe('dynamic.io', function(){
         done();
       }
     });
+    it('should wait for asynchronous setup with done', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var pending = true;
+      sio.setupNamespace(/^\/async\/(.*)$/, function(nsp, match, ready){
+        expect(nsp.setupDone).to.be(-1);
+        setTimeout(function() {
+          pending = false;
+          nsp.on('connect', function(socket) {
+            expect(nsp.setupDone).to.be(1);
+            done();
+          });
+          ready(null, match[1] == 'yes');
+        }, 50);
+      });
+      srv.listen(function() {
+        var e = client(srv, '/async/no');
+        e.on('error', function(err) {
+          expect(pending).to.be(false);
+          expect(err).to.be('Invalid namespace');
+          expect(sio.nsps).not.to.have.property('/async/no');
+          client(srv, '/async/yes');
+        });
+      });
+    });
+
+    it('should wait for setup that returns a promise', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var setups = 0;
+      sio.setupNamespace('/later', function(nsp, match){
+        ++setups;
+        return { then: function(resolve) {
+          setTimeout(function() { resolve(); }, 50);
+        } };
+      });
+      srv.listen(function() {
+        var connected = 0;
+        function onconnect() {
+          if (++connected < 2) return;
+          expect(setups).to.be(1);
+          expect(sio.nsps['/later'].sockets).to.have.length(2);
+          done();
+        }
+        client(srv, '/later', { multiplex: false }).on('connect', onconnect);
+        client(srv, '/later', { multiplex: false }).on('connect', onconnect);
+      });
+    });
+
+    it('should authorize clients per namespace', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var seen = [];
+      sio.setupNamespace(/^\/room\/.*$/, function(nsp) {});
+      sio.authorizeNamespace(function(client, req, host, name) {
+        expect(client).to.be.an(io.DynamicClient);
+        expect(req).to.be(client.request);
+        expect(host).to.be(null);
+        seen.push(name);
+        if (name == '/room/locked') return false;
+      });
+      sio.authorizeNamespace(function(client, req, host, name, cb) {
+        if (name == '/room/secret' && req.headers['x-key'] != 'k') {
+          return cb(new Error('Wrong key'));
+        }
+        cb(null, true);
+      });
+      srv.listen(function() {
+        var locked = client(srv, '/room/locked');
+        locked.on('error', function(err) {
+          expect(err).to.be('Not authorized');
+          var secret = client(srv, '/room/secret');
+          secret.on('error', function(err) {
+            expect(err).to.be('Wrong key');
+            var open = client(srv, '/room/open');
+            open.on('connect', function() {
+              expect(seen).to.contain('/');
+              expect(seen).to.contain('/room/open');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should expire namespaces created for refused clients', function(done){
+      var srv = http();
+      var clock = new io.FakeClock();
+      var sio = io(srv, { retirement: 1, clock: clock });
+      sio.setupNamespace('/room/:id', function(nsp) {});
+      sio.setupNamespace('/full', { maxSockets: 0 }, function(nsp) {});
+      sio.authorizeNamespace(function(client, req, host, name) {
+        return name != '/room/locked';
+      });
+      srv.listen(function() {
+        client(srv, '/room/locked').on('error', function(err) {
+          expect(err).to.be('Not authorized');
+          client(srv, '/full').on('error', function(err) {
+            expect(err).to.be('Namespace full');
+            expect(sio.nsps).to.have.property('/room/locked');
+            expect(sio.nsps).to.have.property('/full');
+            clock.tick(10);
+            expect(sio.nsps).to.not.have.property('/room/locked');
+            expect(sio.nsps).to.not.have.property('/full');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should emit namespace lifecycle events', function(done){
+      var srv = http();
+      var sio = io(srv, {retirement:1});
+      var events = [];
+      ['create', 'setup', 'reject', 'retire', 'revive', 'expire'].forEach(
+      function(ev) {
+        sio.on('namespace:' + ev, function(nsp, fullname, host) {
+          expect(nsp).to.be.an(io.DynamicNamespace);
+          expect(fullname).to.be(nsp.fullname());
+          expect(host).to.be(null);
+          events.push(ev + ':' + fullname);
+          if (ev == 'expire') finish();
+        });
+      });
+      sio.setupNamespace(/^\/life\/.*$/, function(nsp) {
+        return nsp.name != '/life/bad';
+      });
+      srv.listen(function() {
+        var bad = client(srv, '/life/bad');
+        bad.on('error', function() {
+          var c = client(srv, '/life/good');
+          c.on('connect', function() {
+            c.disconnect();
+          });
+        });
+      });
+      function finish() {
+        expect(events).to.eql([
+          'create:/life/bad',
+          'reject:/life/bad',
+          'create:/life/good',
+          'setup:/life/good',
+          'retire:/life/good',
+          'expire:/life/good'
+        ]);
+        done();
+      }
+    });
+
+    it('should unregister setup with remove', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var handle = sio.setupNamespace('/gone', function(nsp) {});
+      sio.setupNamespace(/^\/keep\/.*$/, function(nsp) {});
+      expect(handle.name).to.be('/gone');
+      handle.remove();
+      expect(sio.teardownNamespace(/^\/keep\/.*$/)).to.be(1);
+      expect(sio.teardownNamespace('/nothing')).to.be(0);
+      srv.listen(function() {
+        var e = client(srv, '/gone');
+        e.on('error', function(err) {
+          expect(err).to.be('Invalid namespace');
+          var k = client(srv, '/keep/a');
+          k.on('error', function(err) {
+            expect(err).to.be('Invalid namespace');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should expire live namespaces on teardown', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var expired = false;
+      sio.setupNamespace(/^\/hot\/.*$/, function(nsp) {
+        nsp.expire(function() {
+          expired = true;
+        });
+      });
+      srv.listen(function() {
+        var c = client(srv, '/hot/reload');
+        c.on('connect', function() {
+          c.on('disconnect', function() {
+            expect(expired).to.be(true);
+            expect(sio.nsps).not.to.have.property('/hot/reload');
+            done();
+          });
+          sio.teardownNamespace(/^\/hot\/.*$/, { expire: true });
+        });
+      });
+    });
+
+    it('should limit the number of namespaces', function(done){
+      var srv = http();
+      var sio = io(srv, { maxNamespaces: 2 });
+      sio.setupNamespace(/^\/max\/.*$/, function(nsp) {});
+      srv.listen(function() {
+        var a = client(srv, '/max/a');
+        a.on('connect', function() {
+          // The root namespace is not counted.
+          var b = client(srv, '/max/b');
+          b.on('connect', function() {
+            var c = client(srv, '/max/c');
+            c.on('error', function(err) {
+              expect(err).to.be('Namespace limit exceeded');
+              expect(sio.nsps).not.to.have.property('/max/c');
+              // Existing namespaces can still be joined.
+              var again = client(srv, '/max/a', { multiplex: false });
+              again.on('connect', function() {
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should rate limit namespace creation', function(done){
+      var srv = http();
+      var sio = io(srv, {
+        publicStatus: true,
+        namespaceRateLimit: { count: 1, interval: 60000 }
+      });
+      sio.setupNamespace(/^\/rate\/.*$/, function(nsp) {});
+      srv.listen(function() {
+        var a = client(srv, '/rate/a');
+        a.on('connect', function() {
+          var b = client(srv, '/rate/b');
+          b.on('error', function(err) {
+            expect(err).to.be('Namespace rate limit exceeded');
+            request(srv)
+            .get('/socket.io/status.json')
+            .end(function(err, res) {
+              if (err) return done(err);
+              expect(res.body.counts).to.eql({ total: 2, hosts: { '': 2 } });
+              expect(res.body.limits.namespaceRateLimit.count).to.be(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should refuse clients when a namespace is full', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var events = [];
+      sio.setupNamespace('/class', { maxSockets: 1 }, function(nsp) {
+        expect(nsp.maxSockets).to.be(1);
+        nsp.on('full', function() { events.push('full'); });
+        nsp.on('available', function() {
+          events.push('available');
+          expect(events).to.eql(['full', 'available']);
+          done();
+        });
+      });
+      srv.listen(function() {
+        var c1 = client(srv, '/class', { multiplex: false });
+        c1.on('connect', function() {
+          var c2 = client(srv, '/class', { multiplex: false });
+          c2.on('error', function(err) {
+            expect(err).to.be('Namespace full');
+            c1.disconnect();
+          });
+        });
+      });
+    });
+
+    it('should queue clients when a namespace is full', function(done){
+      var srv = http();
+      var sio = io(srv);
+      sio.setupNamespace('/queue', function(nsp) {
+        nsp.maxSockets = 1;
+        nsp.overflow = 'queue';
+      });
+      srv.listen(function() {
+        var c1 = client(srv, '/queue', { multiplex: false });
+        c1.on('connect', function() {
+          var c2 = client(srv, '/queue', { multiplex: false });
+          c2.on('connect', function() {
+            expect(sio.nsps['/queue'].sockets).to.have.length(1);
+            done();
+          });
+          setTimeout(function() {
+            expect(sio.nsps['/queue']._overflowQueue).to.have.length(1);
+            c1.disconnect();
+          }, 100);
+        });
+      });
+    });
+
+    it('should expire a namespace its client left during setup', function(done){
+      var srv = http();
+      var clock = new io.FakeClock();
+      var sio = io(srv, { retirement: 1, clock: clock });
+      var held;
+      sio.setupNamespace('/doc/:id', function(nsp, match, done) {
+        held = done;
+      });
+      srv.listen(function() {
+        var c = client(srv, '/doc/1', { multiplex: false });
+        var nsp, timer = setInterval(function() {
+          nsp = sio.nsps['/doc/1'];
+          if (!nsp || nsp._setupWaiting.length != 1) return;
+          clearInterval(timer);
+          c.io.engine.close();
+          timer = setInterval(gone, 10);
+        }, 10);
+        function gone() {
+          if (sio.engine.clientsCount) return;
+          clearInterval(timer);
+          // Setup outlasting retirement does not expire the namespace.
+          clock.tick(10);
+          expect(sio.nsps['/doc/1']).to.be(nsp);
+          held();
+          clock.tick(10);
+          expect(sio.nsps).to.not.have.property('/doc/1');
+          done();
+        }
+      });
+    });
+
+    it('should reject namespaces whose setup throws', function(done){
+      var srv = http();
+      var sio = io(srv);
+      sio.setupNamespace('/broken', function(nsp) {
+        throw new Error('broken');
+      });
+      sio.setupNamespace('/broken-async', function(nsp, match, done) {
+        throw new Error('broken');
+      });
+      srv.listen(function() {
+        client(srv, '/broken').on('error', function(err) {
+          expect(err).to.be('Invalid namespace');
+          client(srv, '/broken-async').on('error', function(err) {
+            expect(err).to.be('Invalid namespace');
+            expect(sio.nsps).to.not.have.property('/broken-async');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not overfill a namespace admitting clients at once', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var held;
+      sio.setupNamespace('/room', { maxSockets: 2 }, function(nsp, match, done) {
+        held = done;
+      });
+      srv.listen(function() {
+        var joined = 0, refused = 0;
+        for (var j = 0; j < 5; ++j) {
+          var c = client(srv, '/room', { multiplex: false });
+          c.on('connect', function() { ++joined; check(); });
+          c.on('error', function(err) {
+            expect(err).to.be('Namespace full');
+            ++refused;
+            check();
+          });
+        }
+        // Release setup once all five clients are waiting for it, so
+        // they are admitted together.
+        var timer = setInterval(function() {
+          var nsp = sio.nsps['/room'];
+          if (nsp && nsp._setupWaiting.length == 5) {
+            clearInterval(timer);
+            held();
+          }
+        }, 10);
+        function check() {
+          if (joined + refused < 5) return;
+          expect(joined).to.be(2);
+          expect(sio.nsps['/room'].sockets).to.have.length(2);
+          done();
+        }
+      });
+    });
+
     it('should retire stale namespaces', function(done){
       var srv = http();
       var sio = io(srv, {retirement:1});
@@ -303,5 +845,975 @@ describe('dynamic.io', function(){
         done();
       }
     });
+
+    it('should only examine due namespaces during cleanup', function(done){
+      var sio = io();
+      var proto = io.DynamicNamespace.prototype;
+      var original = proto._expiration;
+      var calls = 0;
+      for (var i = 0; i < 5000; ++i) {
+        sio.of('/idle/' + i).setRetirement(1e7);
+      }
+      for (var i = 0; i < 10; ++i) {
+        sio.of('/due/' + i).setRetirement(0);
+      }
+      proto._expiration = function() {
+        calls += 1;
+        return original.apply(this, arguments);
+      };
+      try {
+        sio.cleanupExpiredNamespaces();
+      } finally {
+        proto._expiration = original;
+      }
+      expect(sio.nsps).to.not.have.property('/due/0');
+      expect(sio.nsps).to.have.property('/idle/0');
+      // Cost follows the number expired, not the 5000 idle ones.
+      expect(calls).to.be.below(50);
+      sio.shutdown(done);
+    });
+
+    it('should time retirement by the clock option', function(){
+      var clock = new io.FakeClock();
+      var sio = io({ clock: clock });
+      sio.of('/a').setRetirement(100);
+      // Cleanup runs up to 100ms after the namespace is due.
+      clock.tick(100);
+      expect(sio.nsps).to.have.property('/a');
+      clock.tick(100);
+      expect(sio.nsps).to.not.have.property('/a');
+      expect(clock.pending()).to.be(0);
+    });
+
+    it('should batch and revive on a fake clock', function(done){
+      var srv = http();
+      var clock = new io.FakeClock(1000);
+      var sio = io(srv, { retirement: 10000, clock: clock });
+      var events = [];
+      sio.setupNamespace(/^\/dyn\/.*$/, function(nsp) {});
+      sio.on('namespace:revive', function(nsp) {
+        events.push('revive');
+        expect(nsp._expiration()).to.be(Infinity);
+      });
+      sio.on('namespace:retire', function(nsp) {
+        events.push('retire');
+        if (events.length < 3) {
+          clock.tick(9999);
+          c.once('connect', function() { c.disconnect(); });
+          c.connect();
+          return;
+        }
+        clock.tick(9999);
+        expect(sio.nsps).to.have.property('/dyn/a');
+        // Expired at 10s, but deleted with the batch up to 5s later.
+        clock.tick(1);
+        expect(sio.nsps).to.have.property('/dyn/a');
+        clock.tick(5000);
+        expect(sio.nsps).to.not.have.property('/dyn/a');
+        expect(events).to.eql(['retire', 'revive', 'retire']);
+        done();
+      });
+      var c;
+      srv.listen(function() {
+        c = client(srv, '/dyn/a');
+        c.once('connect', function() { c.disconnect(); });
+      });
+    });
+    it('should join aliased namespaces under the old name', function(done){
+      var srv = http();
+      var sio = io(srv);
+      sio.setupNamespace('/new/*', function(nsp) {
+        nsp.on('connect', function(socket) {
+          socket.emit('hi', socket.nsp.name);
+          nsp.emit('all');
+        });
+      });
+      sio.aliasNamespace('/old/*', '/new/$1');
+      srv.listen(function() {
+        var c = client(srv, '/old/x');
+        var got = [];
+        c.on('hi', function(name) {
+          got.push('hi:' + name);
+        });
+        c.on('all', function() {
+          got.push('all');
+          expect(got).to.eql(['hi:/new/x', 'all']);
+          expect(sio.nsps).to.have.property('/new/x');
+          expect(sio.nsps).to.not.have.property('/old/x');
+          done();
+        });
+      });
+    });
+
+    it('should redirect aliased namespaces for client.js', function(done){
+      var srv = http();
+      var sio = io(srv);
+      sio.setupNamespace('/new', function(nsp) {});
+      sio.aliasNamespace('/old', '/new', { redirect: true });
+      srv.listen(function() {
+        var addr = srv.address();
+        var url = 'ws://' + addr.address + ':' + addr.port + '/old?token=t1';
+        require('../client').connect(ioc, url, { multiplex: false },
+            function(err, socket) {
+          if (err) return done(err);
+          expect(socket.nsp).to.be('/new');
+          var joined = sio.of('/new').sockets;
+          expect(joined).to.have.length(1);
+          expect(joined[0].handshake.query.token).to.be('t1');
+          expect(sio.of('/old').sockets).to.have.length(0);
+          expect(require('../client').redirectUrl(
+              'ws://h:1/old/a?token=t1#top', '/new/a'))
+              .to.be('ws://h:1/new/a?token=t1');
+          done();
+        });
+      });
+    });
+    it('should keep parents alive until their children expire', function(){
+      var clock = new io.FakeClock();
+      var sio = io({ clock: clock, retirement: 100 });
+      sio.setupNamespace('/class/:id', function(nsp) {});
+      sio.setupNamespace('/class/:id/group/:g', function(nsp, match) {
+        nsp.setParent('/class/' + match.params.id);
+      });
+      var group = sio.of('/class/42/group/3', null, true);
+      var parent = sio.nsps['/class/42'];
+      expect(group.parent).to.be(parent);
+      expect(parent.children()).to.eql([group]);
+      expect(function() {
+        parent.setParent(group);
+      }).to.throwError(/own ancestor/);
+      group.setRetirement(1000);
+      clock.tick(500);
+      expect(sio.nsps).to.have.property('/class/42');
+      clock.tick(2000);
+      expect(sio.nsps).to.not.have.property('/class/42/group/3');
+      expect(sio.nsps).to.not.have.property('/class/42');
+    });
+
+    it('should broadcast down to child namespaces', function(done){
+      var srv = http();
+      var clock = new io.FakeClock();
+      var sio = io(srv, { clock: clock, retirement: 100 });
+      sio.setupNamespace('/class/:id', function(nsp) {});
+      sio.setupNamespace('/class/:id/group/:g', function(nsp, match) {
+        nsp.setParent('/class/' + match.params.id);
+      });
+      sio.on('namespace:retire', function(nsp, fullname) {
+        expect(fullname).to.be('/class/1');
+        // The child still has a socket, so the parent stays.
+        clock.tick(10000);
+        expect(sio.nsps).to.have.property('/class/1');
+        done();
+      });
+      srv.listen(function() {
+        var child = client(srv, '/class/1/group/2', { multiplex: false });
+        child.on('connect', function() {
+          var parent = client(srv, '/class/1', { multiplex: false });
+          var heard = 0;
+          parent.on('connect', function() {
+            sio.of('/class/1').broadcastDown('news', 'hi');
+          });
+          parent.on('news', function(msg) {
+            expect(msg).to.be('hi');
+            ++heard == 2 && parent.disconnect();
+          });
+          child.on('news', function(msg) {
+            expect(msg).to.be('hi');
+            ++heard == 2 && parent.disconnect();
+          });
+        });
+      });
+    });
+    it('should keep reserved namespaces until their time', function(){
+      var clock = new io.FakeClock();
+      var sio = io({ clock: clock, retirement: 100 });
+      var args;
+      sio.setupNamespace('/class/:id', function(nsp) {
+        args = nsp.setupArgs;
+      });
+      var nsp = sio.reserveNamespace('/class/7', null,
+          { until: 1000, setupArgs: { teacher: 'ann' } });
+      expect(args).to.eql({ teacher: 'ann' });
+      expect(sio.nsps['/class/7']).to.be(nsp);
+      clock.tick(1099);
+      expect(sio.nsps).to.have.property('/class/7');
+      // Retirement starts when the reservation ends.
+      clock.tick(1200);
+      expect(sio.nsps).to.not.have.property('/class/7');
+      // Names without a leading slash are reserved as of() names them.
+      nsp = sio.reserveNamespace('class/8', { until: 3000 });
+      expect(sio.nsps['/class/8']).to.be(nsp);
+      expect(sio.reserveNamespace('/class/8')).to.be(nsp);
+      expect(function() {
+        sio.reserveNamespace('/nothing', { until: 1000 });
+      }).to.throwError(/Cannot reserve/);
+    });
+    it('should call back once asynchronous setup is done', function(done){
+      var srv = http();
+      var sio = io(srv);
+      sio.setupNamespace('/lesson/:id', function(nsp, match, done) {
+        setTimeout(function() {
+          done(null, nsp.params.id != 'bad');
+        }, 1);
+      });
+      var revived = 0;
+      sio.on('namespace:revive', function() {
+        ++revived;
+      });
+      var nsp = sio.reserveNamespace('/lesson/good', { until: 1000 },
+      function(err, reserved) {
+        expect(err).to.be(null);
+        expect(reserved).to.be(nsp);
+        expect(nsp.setupDone).to.be(1);
+        sio.reserveNamespace('/lesson/bad', function(err, reserved) {
+          expect(err.message).to.match(/Cannot reserve/);
+          expect(reserved).to.be(undefined);
+          expect(sio.nsps).to.not.have.property('/lesson/bad');
+          expect(sio.reserveNamespace('/nothing', function(err) {
+            expect(err.message).to.match(/Cannot reserve/);
+            srv.listen(function() {
+              // Joining a reservation is no revival.
+              client(srv, '/lesson/good').on('connect', function() {
+                expect(revived).to.be(0);
+                done();
+              });
+            });
+          })).to.be(null);
+        });
+      });
+      expect(nsp.setupDone).to.be(-1);
+    });
+  });
+
+  describe('status', function(){
+    it('should serve status as json', function(done){
+      var srv = http();
+      var sio = io(srv, { publicStatus: true });
+      sio.setupNamespace(/^\/dyn\/.*$/, function(nsp) {
+        nsp.on('connect', function(socket) {
+          request(srv)
+          .get('/socket.io/status.json')
+          .end(function(err, res){
+            if (err) return done(err);
+            expect(res.headers['content-type']).to.be('application/json');
+            var names = res.body.namespaces.map(function(n) {
+              return n.fullname;
+            });
+            expect(names).to.eql(['/', '/dyn/a']);
+            var dyn = res.body.namespaces[1];
+            expect(dyn.host).to.be(null);
+            expect(dyn.retirement).to.be(10000);
+            expect(dyn.expiration).to.be(null);
+            expect(dyn.sockets).to.have.length(1);
+            expect(dyn.sockets[0].id).to.be(socket.id);
+            done();
+          });
+        });
+      });
+      srv.listen(function() {
+        client(srv, '/dyn/a');
+      });
+    });
+
+    it('should show only the main host without a Host header', function(done){
+      var srv = http();
+      var sio = io(srv, { publicStatus: true });
+      sio.of('/main');
+      sio.of('/other', 'otherhost.com');
+      srv.listen(function() {
+        // HTTP/1.0 allows leaving out the Host header.
+        var conn = require('net').connect(srv.address().port, function() {
+          conn.end('GET /socket.io/status.json HTTP/1.0\r\n\r\n');
+        });
+        var text = '';
+        conn.on('data', function(chunk) { text += chunk; });
+        conn.on('end', function() {
+          var body = JSON.parse(text.substr(text.indexOf('\r\n\r\n') + 4));
+          expect(body.host).to.be(null);
+          expect(body.namespaces.map(function(n) {
+            return n.fullname;
+          })).to.eql(['/', '/main']);
+          done();
+        });
+      });
+    });
+
+    it('should negotiate json status with accept', function(done){
+      var srv = http();
+      var sio = io(srv, { publicStatus: true });
+      request(srv)
+      .get('/socket.io/status')
+      .set('Accept', 'application/json')
+      .end(function(err, res){
+        if (err) return done(err);
+        expect(res.headers['content-type']).to.be('application/json');
+        expect(res.body.host).to.be('*');
+        expect(res.body.namespaces[0].fullname).to.be('/');
+        done();
+      });
+    });
+
+    it('should serve prometheus metrics', function(done){
+      var srv = http();
+      var sio = io(srv, { publicStatus: true });
+      sio.setupNamespace(/^\/dyn\/.*$/, function(nsp) {
+        nsp.on('connect', function(socket) {
+          socket.on('hello', function() {
+            socket.emit('hi');
+          });
+        });
+      });
+      srv.listen(function() {
+        var c = client(srv, '/dyn/a');
+        c.on('connect', function() {
+          c.emit('hello');
+        });
+        c.on('hi', function() {
+          request(srv)
+          .get('/socket.io/metrics')
+          .end(function(err, res){
+            if (err) return done(err);
+            expect(res.headers['content-type']).to.match(/^text\/plain/);
+            var lines = res.text.split('\n');
+            expect(lines).to.contain('# TYPE dynamicio_namespaces gauge');
+            expect(lines).to.contain('dynamicio_namespaces{host=""} 2');
+            expect(lines).to.contain(
+                'dynamicio_namespace_sockets{namespace="/dyn/a"} 1');
+            expect(lines).to.contain('dynamicio_namespaces_created_total 2');
+            expect(lines).to.contain(
+                'dynamicio_namespaces_rejected_total{reason="setup"} 0');
+            expect(lines).to.contain(
+                'dynamicio_packets_received_total{namespace="/dyn/a"} 1');
+            expect(lines).to.contain(
+                'dynamicio_packets_sent_total{namespace="/dyn/a"} 1');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should require statusAuth credentials', function(done){
+      var srv = http();
+      var sio = io(srv, { statusAuth: { username: 'ops', password: 'pw' } });
+      var basic = 'Basic ' + new Buffer('ops:pw').toString('base64');
+      request(srv)
+      .get('/socket.io/status')
+      .expect(401, function(err, res) {
+        if (err) return done(err);
+        expect(res.headers['www-authenticate']).to.match(/^Basic/);
+        request(srv)
+        .get('/socket.io/status')
+        .set('Authorization', 'Basic bm9ib2R5Og==')
+        .expect(403, function(err) {
+          if (err) return done(err);
+          request(srv)
+          .get('/socket.io/status')
+          .set('Authorization', basic)
+          .expect(200, done);
+        });
+      });
+    });
+
+    it('should accept a statusAuth callback', function(done){
+      var srv = http();
+      var sio = io(srv, { statusAuth: function(req, cb) {
+        cb(null, req.headers['x-ops'] == 'yes');
+      } });
+      request(srv)
+      .get('/socket.io/status.json')
+      .expect(403, function(err) {
+        if (err) return done(err);
+        request(srv)
+        .get('/socket.io/status.json')
+        .set('X-Ops', 'yes')
+        .expect(200, done);
+      });
+    });
+
+    it('should restrict status to own host with statusHostOnly', function(done){
+      var srv = http();
+      var sio = io(srv, {
+        host: /^\d/, publicStatus: true, statusHostOnly: true
+      });
+      sio.of('/main');
+      sio.of('/other', 'otherhost.com');
+      request(srv)
+      .get('/socket.io/status.json')
+      .end(function(err, res){
+        if (err) return done(err);
+        var names = res.body.namespaces.map(function(n) {
+          return n.fullname;
+        });
+        expect(names).to.eql(['/', '/main']);
+        request(srv)
+        .get('/socket.io/status.json')
+        .set('Host', 'otherhost.com')
+        .end(function(err, res){
+          if (err) return done(err);
+          expect(res.body.host).to.be('otherhost.com');
+          expect(res.body.namespaces).to.have.length(1);
+          expect(res.body.namespaces[0].fullname).to.be('//otherhost.com/other');
+          expect(res.body.counts).to.eql(
+              { total: 1, hosts: { 'otherhost.com': 1 } });
+          request(srv)
+          .get('/socket.io/status')
+          .set('Host', 'otherhost.com')
+          .end(function(err, res){
+            if (err) return done(err);
+            expect(res.text).to.contain('\n1 namespaces\n');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should restrict metrics to own host with statusHostOnly', function(done){
+      var srv = http();
+      var sio = io(srv, {
+        host: /^\d/, publicStatus: true, statusHostOnly: true
+      });
+      sio.of('/main');
+      sio.of('/other', 'otherhost.com');
+      request(srv)
+      .get('/socket.io/metrics')
+      .set('Host', 'otherhost.com')
+      .end(function(err, res){
+        if (err) return done(err);
+        var lines = res.text.split('\n');
+        expect(lines).to.contain('dynamicio_namespaces{host="otherhost.com"} 1');
+        expect(lines).to.contain(
+            'dynamicio_namespace_sockets{namespace="//otherhost.com/other"} 0');
+        expect(res.text).not.to.contain('/main');
+        expect(res.text).not.to.contain('host=""');
+        done();
+      });
+    });
+  });
+
+  describe('state', function(){
+    after(function() {
+      // Remove the directories the FileStore tests write to.
+      var fs = require('fs');
+      ['dynamic.io-', 'dynamic.io-long-'].forEach(function(prefix) {
+        var dir = join(require('os').tmpdir(), prefix + process.pid);
+        if (!fs.existsSync(dir)) return;
+        fs.readdirSync(dir).forEach(function(file) {
+          fs.unlinkSync(join(dir, file));
+        });
+        fs.rmdirSync(dir);
+      });
+    });
+
+    it('should restore namespace state after expiration', function(done){
+      var srv = http();
+      var store = new io.MemoryStore();
+      var sio = io(srv, { retirement: 1, store: store });
+      var visits = [];
+      sio.setupNamespace('/saved', function(nsp) {
+        nsp.state.visits = (nsp.state.visits || 0) + 1;
+        visits.push(nsp.state.visits);
+        if (visits.length == 2) {
+          expect(visits).to.eql([1, 2]);
+          done();
+        }
+      });
+      sio.on('namespace:expire', function(nsp, fullname) {
+        expect(JSON.parse(store.states[fullname])).to.eql({ visits: 1 });
+        client(srv, '/saved', { multiplex: false });
+      });
+      srv.listen(function() {
+        var c = client(srv, '/saved', { multiplex: false });
+        c.on('connect', function() {
+          c.disconnect();
+        });
+      });
+    });
+
+    it('should save and load state in files', function(done){
+      var dir = join(require('os').tmpdir(), 'dynamic.io-' + process.pid);
+      var store = new io.FileStore(dir);
+      store.load('//host/missing', function(err, state) {
+        expect(err).to.be(null);
+        expect(state).to.be(null);
+        store.save('//host/doc', { text: 'hi' }, function(err) {
+          if (err) return done(err);
+          store.load('//host/doc', function(err, state) {
+            expect(state).to.eql({ text: 'hi' });
+            done(err);
+          });
+        });
+      });
+    });
+
+    it('should keep long, unreadable and empty entries harmless', function(done){
+      var fs = require('fs');
+      var dir = join(require('os').tmpdir(), 'dynamic.io-long-' + process.pid);
+      var store = new io.FileStore(dir);
+      var long = '/doc/' + new Array(301).join('x');
+      store.save(long, { n: 1 }, function(err) {
+        if (err) return done(err);
+        store.load(long, function(err, state) {
+          expect(err).to.be(null);
+          expect(state).to.eql({ n: 1 });
+          fs.writeFileSync(store._filename('/bad'), '{not json');
+          store.load('/bad', function(err, state) {
+            expect(err).to.be(null);
+            expect(state).to.be(null);
+            // Saving empty state deletes the entry.
+            store.save(long, {}, function(err) {
+              if (err) return done(err);
+              expect(fs.existsSync(store._filename(long))).to.be(false);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('registry', function(){
+    it('should expire shared namespaces once', function(done){
+      var registry = new io.LocalRegistry();
+      var srv1 = http(), srv2 = http();
+      var sio1 = io(srv1, { retirement: 1, registry: registry });
+      var sio2 = io(srv2, { retirement: 1, registry: registry });
+      var expired = 0, deleted = 0;
+      [sio1, sio2].forEach(function(sio) {
+        sio.setupNamespace('/shared', function(nsp) {
+          nsp.expire(function() {
+            ++expired;
+          });
+        });
+        sio.on('namespace:expire', function() {
+          if (++deleted < 2) return;
+          expect(expired).to.be(1);
+          expect(registry.namespaces).not.to.have.property('/shared');
+          done();
+        });
+      });
+      srv1.listen(function() {
+        srv2.listen(function() {
+          var c1 = client(srv1, '/shared');
+          c1.on('connect', function() {
+            var c2 = client(srv2, '/shared');
+            c2.on('connect', function() {
+              c1.disconnect();
+              setTimeout(function() {
+                // The copy on srv1 is kept while srv2 has a socket.
+                expect(sio1.nsps).to.have.property('/shared');
+                expect(deleted).to.be(0);
+                c2.disconnect();
+              }, 100);
+            });
+          });
+        });
+      });
+    });
+
+    it('should leave expire callbacks to the last server', function(){
+      var registry = new io.LocalRegistry();
+      var clock = new io.FakeClock();
+      var sio1 = io({ registry: registry, clock: clock });
+      var sio2 = io({ registry: registry, clock: clock });
+      var runs = 0;
+      [sio1, sio2].forEach(function(sio) {
+        sio.setupNamespace('/r', function(nsp) {
+          nsp.expire(function() {
+            ++runs;
+          });
+        });
+      });
+      sio1.of('/r', null, true);
+      var nsp2 = sio2.of('/r', null, true);
+      expect(sio1.expireNamespace('/r')).to.be(true);
+      expect(sio1.nsps).not.to.have.property('/r');
+      expect(runs).to.be(0);
+      nsp2.setRetirement(100);
+      clock.tick(1000);
+      expect(sio2.nsps).not.to.have.property('/r');
+      expect(runs).to.be(1);
+    });
+
+    it('should pass registry calls through a cluster master', function(){
+      var Emitter = require('events').EventEmitter;
+      var cluster = new Emitter();
+      var worker = new Emitter();
+      var proc = new Emitter();
+      proc.send = function(msg) { worker.emit('message', msg); };
+      worker.send = function(msg) { proc.emit('message', msg); };
+      var registry = io.ClusterRegistry.serve(cluster);
+      cluster.emit('fork', worker);
+      var remote = new io.ClusterRegistry(proc);
+      var results = [];
+      remote.join('/a', 'w1');
+      remote.register('/a', 'w2');
+      remote.release('/a', 'w2', function(err, result) {
+        results.push(result);
+      });
+      remote.leave('/a', 'w1');
+      remote.release('/a', 'w2', function(err, result) {
+        results.push(result);
+      });
+      remote.release('/a', 'w1', function(err, result) {
+        results.push(result);
+      });
+      expect(results).to.eql(['busy', 'drop', 'expire']);
+      remote.register('/b', 'w1');
+      worker.emit('exit');
+      expect(registry.namespaces).to.eql({});
+    });
+  });
+
+  describe('adapters', function(){
+    var Adapter = require('socket.io-adapter');
+    var util = require('util');
+
+    function TrackedAdapter(nsp) {
+      Adapter.call(this, nsp);
+      TrackedAdapter.created.push(nsp.name);
+    }
+    util.inherits(TrackedAdapter, Adapter);
+    TrackedAdapter.prototype.close = function() {
+      TrackedAdapter.closed.push(this.nsp.name);
+    };
+
+    beforeEach(function() {
+      TrackedAdapter.created = [];
+      TrackedAdapter.closed = [];
+    });
+
+    it('should choose an adapter per namespace', function(done){
+      var srv = http();
+      var sio = io(srv, { retirement: 1 });
+      sio.setupNamespace('/shared', { adapter: TrackedAdapter }, function(nsp){
+        expect(nsp.adapter).to.be.a(TrackedAdapter);
+      });
+      sio.setupNamespace('/private', function(nsp){
+        expect(nsp.adapter).not.to.be.a(TrackedAdapter);
+      });
+      sio.on('namespace:expire', function(nsp) {
+        expect(nsp.name).to.be('/shared');
+        expect(TrackedAdapter.created).to.eql(['/shared']);
+        expect(TrackedAdapter.closed).to.eql(['/shared']);
+        done();
+      });
+      srv.listen(function() {
+        var c = client(srv, '/shared');
+        c.on('connect', function() {
+          var p = client(srv, '/private');
+          p.on('connect', function() {
+            c.disconnect();
+          });
+        });
+      });
+    });
+
+    it('should not change adapters after sockets join', function(done){
+      var srv = http();
+      var sio = io(srv);
+      sio.setupNamespace('/busy', function(nsp){
+        nsp.on('connect', function() {
+          expect(function() {
+            nsp.useAdapter(TrackedAdapter);
+          }).to.throwError(/after sockets have joined/);
+          done();
+        });
+      });
+      srv.listen(function() {
+        client(srv, '/busy');
+      });
+    });
+  });
+
+  describe('shutdown', function(){
+    it('should notify, drain and expire namespaces', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var expired = [];
+      sio.setupNamespace(/^\/down\/.*$/, function(nsp) {
+        nsp.expire(function() {
+          expired.push(nsp.name);
+        });
+      });
+      srv.listen(function() {
+        var c = client(srv, '/down/a');
+        c.on('shutdown', function(notice) {
+          expect(notice).to.eql({ reason: 'deploy' });
+          c.disconnect();
+        });
+        c.on('connect', function() {
+          sio.shutdown({ notice: { reason: 'deploy' } }, function() {
+            expect(expired).to.eql(['/down/a']);
+            expect(sio.nsps).to.eql({});
+            expect(sio._cleanupTimer).to.be(null);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should finish saving state before calling back', function(done){
+      var fs = require('fs');
+      var dir = join(require('os').tmpdir(), 'dynamic.io-down-' + process.pid);
+      var store = new io.FileStore(dir);
+      var sio = io({ store: store });
+      sio.setupNamespace('/doc', function(nsp) {
+        nsp.state.text = 'hi';
+      });
+      sio.on('namespace:setup', function() {
+        sio.shutdown(function() {
+          var file = store._filename('/doc');
+          expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.eql(
+              { text: 'hi' });
+          fs.unlinkSync(file);
+          fs.rmdirSync(dir);
+          done();
+        });
+      });
+      sio.of('/doc', null, true);
+    });
+
+    it('should disconnect stragglers after the timeout', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var expired = false;
+      sio.setupNamespace('/stay', function(nsp) {
+        nsp.expire(function() {
+          expired = true;
+        });
+      });
+      srv.listen(function() {
+        var c = client(srv, '/stay');
+        var disconnected = false;
+        c.on('disconnect', function() {
+          disconnected = true;
+        });
+        c.on('connect', function() {
+          var start = +(new Date);
+          sio.shutdown({ timeout: 100 }, function() {
+            expect(+(new Date) - start).to.be.greaterThan(90);
+            expect(expired).to.be(true);
+            setTimeout(function() {
+              expect(disconnected).to.be(true);
+              done();
+            }, 50);
+          });
+        });
+      });
+    });
+  });
+
+  describe('management', function(){
+    it('should list and get namespaces', function(){
+      var sio = io();
+      sio.of('/b');
+      sio.of('/a/x');
+      sio.of('/c', 'other.com');
+      var names = function(list) {
+        return list.map(function(nsp) { return nsp.fullname(); });
+      };
+      expect(names(sio.listNamespaces())).to.eql(
+          ['/', '/a/x', '/b', '//other.com/c']);
+      expect(names(sio.listNamespaces({ host: null }))).to.eql(
+          ['/', '/a/x', '/b']);
+      expect(names(sio.listNamespaces({ host: 'other.com' }))).to.eql(
+          ['//other.com/c']);
+      expect(names(sio.listNamespaces({ pattern: '/a/*' }))).to.eql(['/a/x']);
+      expect(sio.getNamespace('/b')).to.be(sio.nsps['/b']);
+      expect(sio.getNamespace('/nope')).to.be(null);
+      expect(sio.nsps).not.to.have.property('/nope');
+    });
+
+    it('should broadcast to matching namespaces on every host', function(done){
+      var srv = http();
+      var sio = io(srv, { host: true });
+      var pattern = { host: '*', name: '/announcements' };
+      // With host: true, the root namespace is per host too.
+      sio.setupNamespace({ host: '*', name: '/' }, function(nsp) {});
+      sio.setupNamespace(pattern, function(nsp) {
+        nsp.on('connect', function(socket) {
+          socket.join('vip');
+        });
+      });
+      sio.setupNamespace({ host: '*', name: '/other' }, function(nsp) {});
+      sio.of('/announcements', 'example.com');
+      srv.listen(function() {
+        var a = client(srv, '/announcements', { multiplex: false });
+        var got = [];
+        a.on('connect', function() {
+          var b = client(srv, '/other', { multiplex: false });
+          b.on('news', function() {
+            done(new Error('/other should not hear the news'));
+          });
+          b.on('connect', function() {
+            var reached = sio.broadcastTo(pattern, 'news', 1);
+            expect(reached.length).to.be(2);
+            var names = [];
+            sio.namespaces(pattern).forEach(function(nsp) {
+              names.push(nsp.host);
+            });
+            expect(names).to.contain('example.com');
+            sio.namespaces(pattern).to('vip').emit('vip', 2);
+            expect(sio.namespaces('/nowhere').length).to.be(0);
+            expect(sio.nsps).not.to.have.property('/nowhere');
+          });
+        });
+        a.on('news', function(n) {
+          got.push(n);
+        });
+        a.on('vip', function(n) {
+          got.push(n);
+          expect(got).to.eql([1, 2]);
+          done();
+        });
+      });
+    });
+
+    it('should expire namespaces and disconnect sockets', function(done){
+      var srv = http();
+      var sio = io(srv);
+      var expired = [];
+      sio.setupNamespace(/^\/m\/.*$/, function(nsp) {
+        nsp.expire(function() {
+          expired.push(nsp.name);
+        });
+      });
+      srv.listen(function() {
+        var c = client(srv, '/m/busy');
+        c.on('connect', function() {
+          var id = sio.nsps['/m/busy'].sockets[0].id;
+          expect(sio.expireNamespace('/m/busy')).to.be(false);
+          expect(sio.expireNamespace('/')).to.be(false);
+          expect(sio.disconnectSocket('nobody')).to.be(0);
+          c.on('disconnect', function() {
+            expect(sio.nsps['/m/busy'].sockets).to.have.length(0);
+            expect(sio.expireNamespace('/m/busy')).to.be(true);
+            expect(expired).to.eql(['/m/busy']);
+            expect(sio.getNamespace('/m/busy')).to.be(null);
+            var f = client(srv, '/m/forced', { multiplex: false });
+            f.on('connect', function() {
+              f.on('disconnect', function() {
+                expect(expired).to.eql(['/m/busy', '/m/forced']);
+                done();
+              });
+              expect(sio.expireNamespace('/m/forced', { force: true }))
+                  .to.be(true);
+            });
+          });
+          expect(sio.disconnectSocket(id, '/m/busy')).to.be(1);
+        });
+      });
+    });
+  });
+
+  describe('admin', function(){
+    function admin(srv, action, body) {
+      return request(srv)
+      .post('/socket.io/admin/' + action)
+      .set('Authorization', 'Bearer secret')
+      .send(body);
+    }
+
+    it('should require statusAuth', function(){
+      expect(function() {
+        io({ admin: true });
+      }).to.throwError(/statusAuth/);
+    });
+
+    it('should authenticate admin requests', function(done){
+      var srv = http();
+      var sio = io(srv, { admin: true, statusAuth: { token: 'secret' } });
+      request(srv)
+      .post('/socket.io/admin/expire')
+      .send({ namespace: '/' })
+      .expect(401, function(err) {
+        if (err) return done(err);
+        request(srv)
+        .get('/socket.io/admin/expire')
+        .set('Authorization', 'Bearer secret')
+        .expect(405, done);
+      });
+    });
+
+    it('should only accept JSON bodies', function(done){
+      var srv = http();
+      var sio = io(srv, { admin: true, statusAuth: { token: 'secret' } });
+      sio.of('/plain');
+      request(srv)
+      .post('/socket.io/admin/expire')
+      .set('Authorization', 'Bearer secret')
+      .set('Content-Type', 'text/plain')
+      .send('{"namespace":"/plain","force":true}')
+      .expect(415, function(err) {
+        if (err) return done(err);
+        expect(sio.nsps).to.have.property('/plain');
+        admin(srv, 'broadcast', { namespace: '/plain', room: 'r', event: 'x' })
+        .expect(200, function(err, res) {
+          if (err) return done(err);
+          expect(res.body).to.eql({ sent: 0 });
+          done();
+        });
+      });
+    });
+
+    it('should broadcast, change retirement and expire', function(done){
+      var srv = http();
+      var sio = io(srv, { admin: true, statusAuth: { token: 'secret' } });
+      sio.setupNamespace('/ops', function(nsp) {});
+      srv.listen(function() {
+        var c = client(srv, '/ops');
+        c.on('notice', function(text, level) {
+          expect(text).to.be('hello');
+          expect(level).to.be(2);
+          admin(srv, 'retirement', { namespace: '/ops', retirement: 500 })
+          .expect(200, function(err, res) {
+            if (err) return done(err);
+            expect(res.body).to.eql({ retirement: 500 });
+            expect(sio.nsps['/ops'].retirement).to.be(500);
+            admin(srv, 'expire', { namespace: '/ops' })
+            .expect(200, function(err, res) {
+              if (err) return done(err);
+              expect(res.body).to.eql({ expired: false });
+              admin(srv, 'expire', { namespace: '/ops', force: true })
+              .expect(200, function(err, res) {
+                if (err) return done(err);
+                expect(res.body).to.eql({ expired: true });
+                admin(srv, 'expire', { namespace: '/ops' })
+                .expect(404, done);
+              });
+            });
+          });
+        });
+        c.on('connect', function() {
+          admin(srv, 'broadcast', {
+            namespace: '/ops', event: 'notice', args: ['hello', 2]
+          })
+          .expect(200, function(err, res) {
+            if (err) return done(err);
+            expect(res.body).to.eql({ sent: 1 });
+          });
+        });
+      });
+    });
+
+    it('should disconnect sockets', function(done){
+      var srv = http();
+      var sio = io(srv, { admin: true, statusAuth: { token: 'secret' } });
+      sio.setupNamespace('/kick', function(nsp) {});
+      srv.listen(function() {
+        var c = client(srv, '/kick');
+        c.on('connect', function() {
+          c.on('disconnect', function() {
+            done();
+          });
+          var id = sio.nsps['/kick'].sockets[0].id;
+          admin(srv, 'disconnect', { id: id, namespace: '/kick' })
+          .expect(200, function(err, res) {
+            if (err) return done(err);
+            expect(res.body).to.eql({ disconnected: 1 });
+          });
+        });
+      });
+    });
   });
 });